@@ -16,12 +16,668 @@
 
  'use strict';
 
-var fs = require('fs');
 var os = require('os');
 var path = require('path');
 var util = require('util');
+var redaction = require('./redact.js');
+var transports = require('./transports.js');
 var slice = Array.prototype.slice;
 
+/** @const {string} */ var LEVEL_ENV = 'GCLOUD_DIAG_LOG';
+/** @const {number} */ var DEFAULT_SUMMARY_INTERVAL = 60 * 1000;
+/** @const {number} */ var DEFAULT_BREAKPOINT_DEPTH = 3;
+/** @const {number} */ var DEFAULT_RATE_LIMIT = 10; // entries per window
+/** @const {number} */ var DEFAULT_RATE_WINDOW = 60 * 1000;
+/** @const {number} */ var MAX_RATE_BUCKETS = 1000;
+/** @const {string} */
+var SOURCE_LOCATION_KEY = 'logging.googleapis.com/sourceLocation';
+// Matches stack frames such as '    at fn (/path/file.js:10:5)' and
+// '    at /path/file.js:10:5'.
+/** @const {RegExp} */
+var STACK_FRAME = /^\s*at (?:(.*?) \()?(.+):(\d+):\d+\)?$/;
+
+/** @const {Object.<string, number>} */
+var LEVELS_BY_NAME = {
+  off: 0,
+  error: 1,
+  warn: 2,
+  warning: 2,
+  info: 3,
+  debug: 4,
+  silly: 5
+};
+
+// Levels set through setLevels, as parsed by parseLevelSpec. These apply to
+// existing loggers when set, and to loggers created afterwards.
+var levelOverrides = [];
+// Incremented by every setLevels call. Loggers apply levelOverrides when they
+// see it change, so that no list of the live loggers has to be kept.
+var levelGeneration = 0;
+
+/**
+ * Converts a log level, given as a number or as a (case insensitive) name
+ * such as 'debug' or 'warn', to its number.
+ * @param {(number|string)} level
+ * @return {number}
+ */
+function parseLevel(level) {
+  if (typeof level === 'number') {
+    return level;
+  }
+  var name = String(level).trim().toLowerCase();
+  if (/^\d+$/.test(name)) {
+    return parseInt(name, 10);
+  }
+  if (!LEVELS_BY_NAME.hasOwnProperty(name)) {
+    throw new Error('Unknown log level: ' + level);
+  }
+  return LEVELS_BY_NAME[name];
+}
+
+/**
+ * Parses a level specification of the form `pattern:level,pattern:level`,
+ * e.g. 'trace-agent:debug,*:warn'. Patterns are matched against logger
+ * prefixes and may contain `*` wildcards. A level without a pattern applies
+ * to all loggers.
+ * @param {string} spec
+ * @param {function(Error)=} onInvalid if given, entries with an unknown level
+ *    are skipped and reported to it instead of throwing.
+ * @return {Array.<{pattern: RegExp, level: number}>}
+ */
+function parseLevelSpec(spec, onInvalid) {
+  var entries = [];
+  String(spec).split(',').forEach(function(part) {
+    if (part.trim() === '') {
+      return;
+    }
+    var separator = part.lastIndexOf(':');
+    var pattern = separator === -1 ? '*' : part.slice(0, separator).trim();
+    var level = separator === -1 ? part : part.slice(separator + 1);
+    try {
+      level = parseLevel(level);
+    } catch (e) {
+      if (!onInvalid) {
+        throw e;
+      }
+      return onInvalid(e);
+    }
+    var source = pattern.split('*').map(function(literal) {
+      return literal.replace(/[\\^$.|?+()\[\]{}]/g, '\\$&');
+    }).join('.*');
+    entries.push({pattern: new RegExp('^' + source + '$'), level: level});
+  });
+  return entries;
+}
+
+// The GCLOUD_DIAG_LOG specification, as parsed by envLevels.
+var envLevels_ = {spec: undefined, levels: []};
+
+/**
+ * Returns the parsed GCLOUD_DIAG_LOG specification. A mistake in it must not
+ * make logger.create throw, so invalid entries are skipped, with a single
+ * warning per value of the variable.
+ * @return {Array.<{pattern: RegExp, level: number}>}
+ */
+function envLevels() {
+  var spec = process.env[LEVEL_ENV];
+  if (spec !== envLevels_.spec) {
+    var errors = [];
+    envLevels_ = {
+      spec: spec,
+      levels: spec ? parseLevelSpec(spec, function(err) {
+        errors.push(err.message);
+      }) : []
+    };
+    if (errors.length > 0) {
+      console.error('Ignoring invalid ' + LEVEL_ENV + ' entries: ' +
+        errors.join(', '));
+    }
+  }
+  return envLevels_.levels;
+}
+
+/**
+ * Returns the level of the first entry of `spec` matching `prefix`, or
+ * undefined if there is none.
+ */
+function matchLevelSpec(spec, prefix) {
+  for (var i = 0; i < spec.length; i++) {
+    if (spec[i].pattern.test(prefix)) {
+      return spec[i].level;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the initial level of a logger with `prefix`: the level set through
+ * setLevels, the level set through the GCLOUD_DIAG_LOG environment variable,
+ * or `level`, in that order.
+ */
+function initialLevel(prefix, level) {
+  var override = matchLevelSpec(levelOverrides, prefix);
+  if (override === undefined) {
+    override = matchLevelSpec(envLevels(), prefix);
+  }
+  return override !== undefined ? override : parseLevel(level || 0);
+}
+
+/**
+ * Formats the arguments of a log call the way console.log does when they
+ * follow a leading string: strings are kept as is and other values are
+ * inspected.
+ * @param {Array} args
+ * @return {Array.<string>}
+ */
+function formatArgs(args) {
+  return args.map(function(arg) {
+    return typeof arg === 'string' ? arg : util.inspect(arg);
+  });
+}
+
+/**
+ * Returns true if `value` is an object literal (as opposed to an array, error,
+ * date, etc.).
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * @param {Array<number>} interval a [seconds, nanoseconds] tuple, as
+ *    returned by process.hrtime.
+ * @return {number} the interval in milliseconds.
+ */
+function hrtimeToMillis(interval) {
+  return interval[0] * 1000 + interval[1] / 1000000;
+}
+
+/**
+ * Summarizes durations as a line of the form
+ * `label: count=N min=Xms max=Xms mean=Xms p99=Xms`.
+ * @param {string} label
+ * @param {Array<number>} durations in milliseconds, at least one.
+ * @return {string}
+ */
+function summarizeDurations(label, durations) {
+  var sorted = durations.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var total = sorted.reduce(function(sum, duration) {
+    return sum + duration;
+  }, 0);
+  var stats = {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: total / sorted.length,
+    p99: sorted[Math.ceil(sorted.length * 0.99) - 1]
+  };
+  return label + ': count=' + sorted.length + ' ' +
+    Object.keys(stats).map(function(name) {
+      return name + '=' + stats[name].toFixed(3) + 'ms';
+    }).join(' ');
+}
+
+/**
+ * Returns the location of the code calling into the logger, read from the
+ * stack, or null if it can't be determined.
+ * @return {?{file: string, line: number, function: ?string}}
+ */
+function captureCaller() {
+  var frames = (new Error().stack || '').split('\n').slice(1);
+  for (var i = 0; i < frames.length; i++) {
+    var match = STACK_FRAME.exec(frames[i]);
+    if (match && match[2] !== __filename) {
+      return {
+        file: match[2],
+        line: parseInt(match[3], 10),
+        function: match[1] || null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the source metadata of a log entry (see the timestamp, pid,
+ * hostname and caller options of `create`) as fields for text output.
+ * @param {Object} entry
+ * @return {Object}
+ */
+function sourceFields(entry) {
+  var fields = {};
+  if (entry.pid !== undefined) {
+    fields.pid = entry.pid;
+  }
+  if (entry.hostname !== undefined) {
+    fields.hostname = entry.hostname;
+  }
+  if (entry.caller) {
+    fields.caller = entry.caller.file + ':' + entry.caller.line;
+  }
+  return fields;
+}
+
+/**
+ * Formats the fields of a log entry as `[key=value ...]`, or returns null if
+ * there are none.
+ * @param {Object} fields
+ * @return {?string}
+ */
+function formatFields(fields) {
+  var keys = Object.keys(fields);
+  if (keys.length === 0) {
+    return null;
+  }
+  return '[' + keys.map(function(key) {
+    var value = fields[key];
+    return key + '=' + (typeof value === 'string' ? value : util.inspect(value));
+  }).join(' ') + ']';
+}
+
+/**
+ * Formats a log entry as a text line of the form
+ * `[timestamp ]LEVEL:prefix: [key=value ...] args...`, where the bracketed
+ * part lists the source metadata and fields of the entry, if any.
+ * @private
+ */
+function formatText(entry) {
+  var header = module.exports.LEVEL_NAMES[entry.level] + ':' + entry.prefix +
+    ':';
+  if (entry.timestamp !== undefined) {
+    header = entry.timestamp + ' ' + header;
+  }
+  var fields = formatFields(Object.assign(sourceFields(entry), entry.fields));
+  return [header].concat(fields ? [fields] : [], formatArgs(entry.args))
+    .join(' ');
+}
+
+/**
+ * Formats a log entry as a single line JSON object understood by Cloud
+ * Logging when collected from stdout. Properties of `fields`, and of the last
+ * argument if it is an object literal following a message, are added to the
+ * entry as extra fields. The caller, if captured, is reported as the
+ * sourceLocation of the entry.
+ * @private
+ */
+function formatJson(entry) {
+  var args = entry.args;
+  var extra = [entry.fields];
+  if (args.length > 1 && isPlainObject(args[args.length - 1])) {
+    extra.push(args[args.length - 1]);
+    args = args.slice(0, -1);
+  }
+  var json = {
+    severity: module.exports.SEVERITY_NAMES[entry.level],
+    message: formatArgs(args).join(' '),
+    timestamp: entry.timestamp !== undefined ? entry.timestamp :
+      entry.time.toISOString(),
+    logger: entry.prefix
+  };
+  if (entry.pid !== undefined) {
+    json.pid = entry.pid;
+  }
+  if (entry.hostname !== undefined) {
+    json.hostname = entry.hostname;
+  }
+  if (entry.caller) {
+    json[SOURCE_LOCATION_KEY] = {
+      file: entry.caller.file,
+      line: String(entry.caller.line),
+      function: entry.caller.function || undefined
+    };
+  }
+  extra.forEach(function(fields) {
+    Object.keys(fields || {}).forEach(function(key) {
+      if (!json.hasOwnProperty(key)) {
+        json[key] = fields[key];
+      }
+    });
+  });
+  try {
+    return JSON.stringify(json);
+  } catch (e) {
+    // e.g. circular fields. Keep the entry, minus the offending fields.
+    return JSON.stringify({
+      severity: json.severity,
+      message: json.message,
+      timestamp: json.timestamp,
+      logger: json.logger
+    });
+  }
+}
+
+/** @const {Object.<string, function(Object):string>} */
+var FORMATTERS = {
+  text: formatText,
+  json: formatJson
+};
+
+/**
+ * Returns the formatter for `format`, which is either the name of a built-in
+ * format or a formatting function.
+ * @return {function(Object):string}
+ */
+function getFormatter(format) {
+  if (typeof format === 'function') {
+    return format;
+  }
+  if (!FORMATTERS.hasOwnProperty(format)) {
+    throw new Error('Unknown log format: ' + format);
+  }
+  return FORMATTERS[format];
+}
+
+/**
+ * Formats a Debugger timestamp, given as {seconds, nanos} or as an RFC 3339
+ * string.
+ * @return {string}
+ */
+function formatTimestamp(timestamp) {
+  if (typeof timestamp === 'string') {
+    return new Date(timestamp).toString();
+  }
+  var unixTime = parseInt(timestamp.seconds, 10);
+  return new Date(unixTime * 1000).toString(); // to milliseconds.
+}
+
+/**
+ * Formats a Debugger status message ({format, parameters}), where $0, $1, ...
+ * in the format stand for the parameters and $$ for a dollar sign.
+ * @return {string}
+ */
+function formatStatusMessage(message) {
+  var parameters = message.parameters || [];
+  return String(message.format || '').replace(/\$(\$|\d+)/g,
+      function(match, index) {
+    if (index === '$') {
+      return '$';
+    }
+    return parameters[index] !== undefined ? parameters[index] : match;
+  });
+}
+
+/**
+ * Formats a Debugger status, e.g. `error (BREAKPOINT_SOURCE_LOCATION): No code
+ * found at line 12`.
+ * @return {string}
+ */
+function formatStatus(status) {
+  var text = status.isError ? 'error' : 'ok';
+  if (status.refersTo) {
+    text += ' (' + status.refersTo + ')';
+  }
+  if (status.description) {
+    text += ': ' + formatStatusMessage(status.description);
+  }
+  return text;
+}
+
+/**
+ * Applies `redact`, the redactor of a logger (see redact.js), if any, to
+ * `value` stored under the property `key`.
+ */
+function redactValue(redact, value, key) {
+  return redact ? redact(value, key) : value;
+}
+
+/**
+ * Formats a captured variable as `name: value`, expanding its members, and
+ * the variableTable entry it refers to, up to `depth` levels deep.
+ * @param {Object} variable a Debugger Variable.
+ * @param {Array<Object>} table the variableTable of the breakpoint.
+ * @param {number} depth
+ * @param {?function(*, string=):*=} redact the redactor of the logger, if
+ *    any. Variables with sensitive names are logged without their value or
+ *    members.
+ * @return {string}
+ */
+function formatVariable(variable, table, depth, redact) {
+  var name = variable.name !== undefined ? variable.name + ': ' : '';
+  if (redact && redact.isSensitiveKey(variable.name)) {
+    return name + redact(variable.value, variable.name);
+  }
+  if (variable.varTableIndex !== undefined && table[variable.varTableIndex]) {
+    variable = table[variable.varTableIndex];
+  }
+  if (variable.status && variable.status.isError) {
+    return name + '<' + formatStatus(variable.status) + '>';
+  }
+  var value = variable.value !== undefined ? String(variable.value) : '';
+  if (variable.members && variable.members.length > 0) {
+    var members = depth > 0 ? variable.members.map(function(member) {
+      return formatVariable(member, table, depth - 1, redact);
+    }).join(', ') : '\u2026';
+    value += (value ? ' ' : '') + '{ ' + members + ' }';
+  }
+  if (!value) {
+    value = variable.type ? '<' + variable.type + '>' : '<unknown>';
+  }
+  if (variable.status && variable.status.description) {
+    value += ' (' + formatStatusMessage(variable.status.description) + ')';
+  }
+  return name + value;
+}
+
+/**
+ * Formats a Debugger source location as `path:line`.
+ * @return {string}
+ */
+function formatLocation(location) {
+  return location ? location.path + ':' + location.line : '<unknown>';
+}
+
+/**
+ * Formats a captured stack frame as `function at path:line`.
+ * @return {string}
+ */
+function formatStackFrame(frame) {
+  return (frame.function || '<anonymous>') + ' at ' +
+    formatLocation(frame.location);
+}
+
+/**
+ * Formats a breakpoint on one line, for the compact mode of
+ * `logger.breakpoint`.
+ * @param {debuglet.Breakpoint} breakpoint
+ * @param {number} depth
+ * @param {?function(*, string=):*=} redact the redactor of the logger, if any.
+ * @return {string}
+ */
+function formatBreakpointCompact(breakpoint, depth, redact) {
+  var table = breakpoint.variableTable || [];
+  var parts = ['breakpoint id: ' + breakpoint.id,
+    'location: ' + formatLocation(breakpoint.location)];
+  if (breakpoint.action) {
+    parts.push('action: ' + breakpoint.action);
+  }
+  if (breakpoint.status) {
+    parts.push('status: ' + formatStatus(breakpoint.status));
+  }
+  if (breakpoint.condition) {
+    parts.push('condition: ' + JSON.stringify(
+      redactValue(redact, breakpoint.condition, 'condition')));
+  }
+  if (breakpoint.expressions) {
+    parts.push('expressions: ' + JSON.stringify(
+      redactValue(redact, breakpoint.expressions, 'expressions')));
+  }
+  if (breakpoint.logMessageFormat) {
+    parts.push('logMessageFormat: ' + JSON.stringify(redactValue(redact,
+      breakpoint.logMessageFormat, 'logMessageFormat')));
+  }
+  if (breakpoint.labels) {
+    parts.push('labels: ' + JSON.stringify(
+      redactValue(redact, breakpoint.labels, 'labels')));
+  }
+  if (breakpoint.userEmail) {
+    parts.push('userEmail: ' + breakpoint.userEmail);
+  }
+  if (breakpoint.finalTime) {
+    parts.push('finalTime: ' + formatTimestamp(breakpoint.finalTime));
+  }
+  if (breakpoint.evaluatedExpressions) {
+    parts.push('evaluatedExpressions: [' +
+      breakpoint.evaluatedExpressions.map(function(variable) {
+        return formatVariable(variable, table, depth, redact);
+      }).join(', ') + ']');
+  }
+  if (breakpoint.stackFrames && breakpoint.stackFrames.length > 0) {
+    parts.push('stackFrames: ' + breakpoint.stackFrames.length + ' (top: ' +
+      formatStackFrame(breakpoint.stackFrames[0]) + ')');
+  }
+  if (table.length > 0) {
+    parts.push('variableTable: ' + table.length + ' entries');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Creates the rate limiter of a logger (see the rateLimit option of
+ * `create`). Every key, a level or a level and message template, gets a token
+ * bucket holding up to `limit` tokens and refilled at `limit` tokens per
+ * `interval`. Entries finding their bucket empty are suppressed and counted
+ * per message template. At the end of the window in which entries were first
+ * suppressed, `report` is called with each template's count and last entry.
+ *
+ * @param {Object} options the rateLimit option.
+ * @param {function({level: number, args: Array, fields: Object,
+ *    count: number})} report
+ * @return {{allow: function(number, Array, Object):boolean,
+ *    flush: function()}} `allow` returns whether to log an entry, `flush`
+ *    reports the suppressed entries right away.
+ */
+function createRateLimiter(options, report) {
+  var limit = options.limit || DEFAULT_RATE_LIMIT;
+  var interval = options.interval || DEFAULT_RATE_WINDOW;
+  var byLevel = options.by === 'level';
+  var buckets = {};
+  var bucketCount = 0;
+  var suppressed = {};
+  var timer = null;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(limit,
+      bucket.tokens + (now - bucket.updated) * limit / interval);
+    bucket.updated = now;
+  }
+
+  // Forgets the buckets that are full again, as new ones would be.
+  function prune(now) {
+    Object.keys(buckets).forEach(function(key) {
+      refill(buckets[key], now);
+      if (buckets[key].tokens >= limit) {
+        delete buckets[key];
+        bucketCount--;
+      }
+    });
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    var entries = suppressed;
+    suppressed = {};
+    Object.keys(entries).forEach(function(template) {
+      report(entries[template]);
+    });
+  }
+
+  return {
+    allow: function(level, args, fields) {
+      var template = level + ':' + (typeof args[0] === 'string' ?
+        args[0] : formatArgs(args).join(' '));
+      var key = byLevel ? String(level) : template;
+      var now = Date.now();
+      if (!buckets.hasOwnProperty(key)) {
+        if (bucketCount >= MAX_RATE_BUCKETS) {
+          prune(now);
+        }
+        buckets[key] = {tokens: limit, updated: now};
+        bucketCount++;
+      }
+      var bucket = buckets[key];
+      refill(bucket, now);
+      if (bucket.tokens >= 1) {
+        bucket.tokens--;
+        return true;
+      }
+      var entry = suppressed[template] ||
+        (suppressed[template] = {level: level, count: 0});
+      entry.args = args;
+      entry.fields = fields;
+      entry.count++;
+      if (!timer) {
+        timer = setTimeout(flush, interval);
+        // Pending reports should not keep the process alive.
+        if (timer.unref) {
+          timer.unref();
+        }
+      }
+      return false;
+    },
+    flush: flush
+  };
+}
+
+/**
+ * Orders breakpoints by location (path, then line), then by id.
+ * @return {number}
+ */
+function compareBreakpoints(a, b) {
+  var pathA = (a.location && a.location.path) || '';
+  var pathB = (b.location && b.location.path) || '';
+  if (pathA !== pathB) {
+    return pathA < pathB ? -1 : 1;
+  }
+  var lineDiff = ((a.location && a.location.line) || 0) -
+    ((b.location && b.location.line) || 0);
+  if (lineDiff !== 0) {
+    return lineDiff;
+  }
+  return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+}
+
+/**
+ * @return {string} 'error', 'final' or 'active'.
+ */
+function breakpointState(breakpoint) {
+  if (breakpoint.status && breakpoint.status.isError) {
+    return 'error';
+  }
+  return breakpoint.isFinalState ? 'final' : 'active';
+}
+
+/**
+ * Summarizes breakpoints as a line of the form
+ * `N breakpoints; by status: active=N ...; by file: path=N ...`.
+ * @param {Array<debuglet.Breakpoint>} breakpoints
+ * @return {string}
+ */
+function summarizeBreakpoints(breakpoints) {
+  var byStatus = {};
+  var byFile = {};
+  breakpoints.forEach(function(breakpoint) {
+    var state = breakpointState(breakpoint);
+    var file = (breakpoint.location && breakpoint.location.path) ||
+      '<unknown>';
+    byStatus[state] = (byStatus[state] || 0) + 1;
+    byFile[file] = (byFile[file] || 0) + 1;
+  });
+  var counts = function(map) {
+    return Object.keys(map).sort().map(function(key) {
+      return key + '=' + map[key];
+    }).join(' ');
+  };
+  var text = breakpoints.length + ' breakpoints';
+  if (breakpoints.length > 0) {
+    text += '; by status: ' + counts(byStatus) + '; by file: ' +
+      counts(byFile);
+  }
+  return text;
+}
+
 module.exports = {
   /** @const {number} */ ERROR: 1,
   /** @const {number} */ WARN: 2,
@@ -32,123 +688,649 @@ module.exports = {
   /** @const {Array.<?string>} */
   LEVEL_NAMES: [null, 'ERROR', 'WARN ', 'INFO ', 'DEBUG', 'SILLY'],
 
+  /**
+   * Cloud Logging LogSeverity names of the log levels, used in structured
+   * (JSON) output.
+   * @const {Array.<?string>}
+   */
+  SEVERITY_NAMES: [null, 'ERROR', 'WARNING', 'INFO', 'DEBUG', 'DEBUG'],
+
+  /**
+   * Factories for the transports accepted by `create`.
+   */
+  transports: transports,
+
+  /**
+   * The default keys and patterns used by the `redact` option of `create`.
+   */
+  redaction: redaction,
+
+  /**
+   * Changes the level of live loggers, e.g. to raise verbosity on a running
+   * process, using the same syntax as the GCLOUD_DIAG_LOG environment
+   * variable: `pattern:level` pairs separated by commas, where patterns are
+   * matched against logger prefixes and may contain `*` wildcards, e.g.
+   * 'trace-agent:debug,*:warn'. The first matching pair wins. Existing
+   * loggers pick the levels up the next time they log or report their level,
+   * and loggers created later start at them. Pass null to stop applying them
+   * to new loggers.
+   *
+   * @param {?string} spec the level specification.
+   */
+  setLevels: function(spec) {
+    levelOverrides = spec ? parseLevelSpec(spec) : [];
+    levelGeneration++;
+  },
+
   /**
    * Factory method that returns a new logger. If a non-zero local
    * limit is specified, localLimit entries will be logged to the
    * `prefix`_google_diagnostics_log.txt file in your systems
    * temp directory.
    *
-   * @param {number=} level Log level for reporting to the console.
+   * The level of loggers can be set per prefix with the GCLOUD_DIAG_LOG
+   * environment variable (see `setLevels` for its syntax), which takes
+   * precedence over the `level` argument.
+   *
+   * @param {(number|string)=} level Log level for reporting to the console,
+   *    as a number or a name such as 'debug'.
    * @param {?string=} prefix to use in log messages.
-   * @param {number=} localLimit The number of entries to log to the
-   *    local file before disabling local logging.
+   * @param {(number|Object)=} options The number of entries to log to the
+   *    local file before disabling local logging, or an object with the
+   *    following optional properties:
+   *    - localLimit {number} as above.
+   *    - localDir {string} the directory of the local file (default: the
+   *      system temp directory).
+   *    - rotation {Object} rotation settings for the local file, enabling it
+   *      even without a localLimit. See the maxSize, maxAge, maxFiles, gzip
+   *      and append options of `transports.file`. A rotated file keeps the
+   *      newest entries, so localLimit does not stop it from being written:
+   *      only the local file without rotation stops after localLimit
+   *      entries.
+   *    - format {string} 'text' (default) or 'json'. In json mode each entry
+   *      is written as one JSON object per line, with `severity`, `message`,
+   *      `timestamp` and `logger` (the prefix) properties.
+   *    - fields {Object} extra fields added to every entry. Child loggers
+   *      (see `child`) add their own fields to these.
+   *    - transports {Array.<Object|function(string, Object)>} where to write
+   *      log lines (see transports.js), each with its own optional level
+   *      threshold and format. Plain functions are used as custom transports.
+   *      Defaults to the console, plus the local file if localLimit or
+   *      rotation is set.
+   *    - redact {(boolean|Object)} replace sensitive data (tokens, passwords,
+   *      private keys, emails, ...) in the arguments and fields of every
+   *      entry, and in the variables of logged breakpoints, before it
+   *      reaches any transport. Either true for the defaults,
+   *      or an object with keys, patterns, replacement and hook properties
+   *      (see redact.js).
+   *    - timestamp {string} 'iso' or 'epoch' (milliseconds) to start text
+   *      lines with the time of the entry. JSON entries always have a
+   *      timestamp, an ISO one unless this is 'epoch'.
+   *    - pid {boolean} add the process id to every entry.
+   *    - hostname {boolean} add the hostname to every entry.
+   *    - caller {boolean} add the file:line of the code logging the entry to
+   *      debug and silly entries. This reads the stack, so it is slow.
+   *    - rateLimit {Object} limit how many entries are logged, to avoid
+   *      flooding the logs with a repeated error. Entries over the limit are
+   *      suppressed, and collapsed into one '<message> (repeated N times)'
+   *      entry per message at the end of the window. Supported properties:
+   *      - by {string} 'message' (default) to limit each message template
+   *        (the first argument, if a string) separately, or 'level' to
+   *        limit each level.
+   *      - limit {number} entries allowed per window (default 10).
+   *      - interval {number} the window in milliseconds (default 60s).
+   *    - breakpointFormat {Object} defaults for the `options` argument of
+   *      `breakpoint` (compact and depth).
+   *    - timerSummary {Object} aggregate the durations measured with
+   *      `timeEnd` and `measure` per label, and periodically log their
+   *      count, min, max, mean and p99. Supported properties:
+   *      - interval {number} milliseconds between summaries (default 60s).
+   *      - level {number} the level of the summaries (default INFO).
    */
-  create: function(level, prefix, localLimit) {
-    var level_ = level || 0;
+  create: function(level, prefix, options) {
+    if (!options || typeof options === 'number') {
+      options = {localLimit: options};
+    }
     var prefix_ = prefix || '';
-    var localLimit_ = localLimit || 0;
-
-    var logFd;
-    if (localLimit_ > 0) {
-      // Regex: replace illegal file characters /?<>\:*|"
-      var logName = path.join(os.tmpdir(),
-          prefix.replace(/[\/\?\<\>\\\:\*\|\"]/g, '_') + '_log.txt');
-      logFd = fs.openSync(logName, 'w');
+    var level_ = initialLevel(prefix_, level);
+    var levelGeneration_ = levelGeneration;
+    var localLimit_ = options.localLimit || 0;
+    var format_ = options.format || 'text';
+    var fields_ = options.fields || {};
+    var redact_ = options.redact ? redaction.create(options.redact) : null;
+    var timestamp_ = options.timestamp;
+    if (timestamp_ && timestamp_ !== 'iso' && timestamp_ !== 'epoch') {
+      throw new Error('Unknown timestamp format: ' + timestamp_);
     }
-    var localLogCount = 0;
+    var hostname_ = options.hostname ? os.hostname() : undefined;
+    var timers_ = {};  // hrtime start of the timers started with `time`.
+    var timings_ = {};  // durations measured per label since the last summary.
+    // The breakpoints logged in diff mode, by baseline name, as serialized
+    // breakpoints by key.
+    var breakpointBaselines_ = {};
+    getFormatter(format_); // validates the format.
+
+    var transports_ = options.transports;
+    if (!transports_) {
+      transports_ = [transports.console()];
+      if (localLimit_ > 0 || options.rotation) {
+        // Regex: replace illegal file characters /?<>\:*|"
+        var logName = path.join(options.localDir || os.tmpdir(),
+            prefix.replace(/[\/\?\<\>\\\:\*\|\"]/g, '_') + '_log.txt');
+        transports_.push(transports.file(Object.assign({}, options.rotation, {
+          path: logName,
+          limit: options.rotation ? undefined : localLimit_
+        })));
+      }
+    }
+    transports_ = transports_.map(function(transport) {
+      if (typeof transport === 'function') {
+        transport = transports.custom(transport);
+      }
+      return {
+        transport: transport,
+        level: transport.level === undefined ? undefined :
+          parseLevel(transport.level),
+        format: getFormatter(transport.format || format_)
+      };
+    });
 
     /**
-     * Logs any passed in arguments.
+     * Returns the level of this logger, after applying any levels set through
+     * setLevels since it last checked.
      * @private
      */
-    var log = function(level, args) {
-      if (level_ < level) {
+    var currentLevel = function() {
+      if (levelGeneration_ !== levelGeneration) {
+        levelGeneration_ = levelGeneration;
+        var override = matchLevelSpec(levelOverrides, prefix_);
+        if (override !== undefined) {
+          level_ = override;
+        }
+      }
+      return level_;
+    };
+
+    /**
+     * Writes an entry to the transports.
+     * @private
+     */
+    var write = function(level, args, fields) {
+      if (redact_) {
+        args = args.map(redact_);
+        fields = redact_(fields);
+      }
+      var entry = {
+        level: level,
+        prefix: prefix_,
+        args: args,
+        fields: fields,
+        time: new Date()
+      };
+      if (timestamp_) {
+        entry.timestamp = timestamp_ === 'epoch' ? entry.time.getTime() :
+          entry.time.toISOString();
+      }
+      if (options.pid) {
+        entry.pid = process.pid;
+      }
+      if (hostname_ !== undefined) {
+        entry.hostname = hostname_;
+      }
+      if (options.caller && level >= module.exports.DEBUG) {
+        entry.caller = captureCaller();
+      }
+      // Transports sharing a format share the formatted line.
+      var lines = [];
+      transports_.forEach(function(t) {
+        if (t.level !== undefined && t.level < level) {
+          return;
+        }
+        var line;
+        lines.some(function(formatted) {
+          if (formatted.format === t.format) {
+            line = formatted.line;
+            return true;
+          }
+        });
+        if (line === undefined) {
+          line = t.format(entry);
+          lines.push({format: t.format, line: line});
+        }
+        t.transport.write(line, entry);
+      });
+    };
+
+    var rateLimiter_ = options.rateLimit ?
+      createRateLimiter(options.rateLimit, function(suppressed) {
+        if (currentLevel() < suppressed.level) {
+          return;
+        }
+        // Redact before formatting, while the arguments are still objects.
+        var args = redact_ ? suppressed.args.map(redact_) : suppressed.args;
+        write(suppressed.level, [formatArgs(args).join(' ') + ' (repeated ' +
+          suppressed.count + ' times)'], suppressed.fields);
+      }) : null;
+
+    /**
+     * Logs any passed in arguments, along with the given fields, unless the
+     * rate limit is exceeded.
+     * @private
+     */
+    var emit = function(level, args, fields) {
+      if (currentLevel() < level) {
         return;
       }
-      args.unshift(module.exports.LEVEL_NAMES[level] + ':' + prefix_ + ':');
-      console.log.apply(console, args);
-      if (logFd && (localLogCount < localLimit_)) {
-        localLogCount++;
-        fs.write(logFd, args.join(' ') + '\n');
+      if (rateLimiter_ && !rateLimiter_.allow(level, args, fields)) {
+        return;
       }
+      write(level, args, fields);
     };
 
     /**
      * @param {debuglet.Breakpoint} breakpoint
+     * @param {{compact: boolean, depth: number}} options
      * @return {string}
      * @private
      */
-    var formatBreakpointForLog = function(msg, breakpoint) {
+    var formatBreakpointForLog = function(msg, breakpoint, options) {
+      var depth = typeof options.depth === 'number' ?
+        options.depth : DEFAULT_BREAKPOINT_DEPTH;
+      if (options.compact) {
+        return msg + formatBreakpointCompact(breakpoint, depth, redact_);
+      }
+      var table = breakpoint.variableTable || [];
+      var formatVariables = function(variables, indent) {
+        return variables.map(function(variable) {
+          return indent + formatVariable(variable, table, depth, redact_);
+        }).join('');
+      };
+      // The formatted breakpoint is redacted as a whole when logged, but
+      // sensitive keys can only be matched before formatting.
+      var inspect = function(value, key) {
+        return util.inspect(redactValue(redact_, value, key));
+      };
       var text = msg + util.format('breakpoint id: %s,\n\tlocation: %s',
         breakpoint.id, util.inspect(breakpoint.location));
       if (breakpoint.createdTime) {
-        var unixTime = parseInt(breakpoint.createdTime.seconds, 10);
-        var date = new Date(unixTime * 1000); // to milliseconds.
-        text += '\n\tcreatedTime: ' + date.toString();
+        text += '\n\tcreatedTime: ' + formatTimestamp(breakpoint.createdTime);
       }
       if (breakpoint.condition) {
-        text += '\n\tcondition: ' + util.inspect(breakpoint.condition);
+        text += '\n\tcondition: ' + inspect(breakpoint.condition, 'condition');
       }
       if (breakpoint.expressions) {
-        text += '\n\texpressions: ' + util.inspect(breakpoint.expressions);
+        text += '\n\texpressions: ' +
+          inspect(breakpoint.expressions, 'expressions');
+      }
+      if (breakpoint.action) {
+        text += '\n\taction: ' + breakpoint.action;
+      }
+      if (breakpoint.logMessageFormat) {
+        text += '\n\tlogMessageFormat: ' +
+          inspect(breakpoint.logMessageFormat, 'logMessageFormat');
+      }
+      if (breakpoint.status) {
+        text += '\n\tstatus: ' + formatStatus(breakpoint.status);
+      }
+      if (breakpoint.labels) {
+        text += '\n\tlabels: ' + inspect(breakpoint.labels, 'labels');
+      }
+      if (breakpoint.userEmail) {
+        text += '\n\tuserEmail: ' + breakpoint.userEmail;
+      }
+      if (breakpoint.finalTime) {
+        text += '\n\tfinalTime: ' + formatTimestamp(breakpoint.finalTime);
+      }
+      if (breakpoint.evaluatedExpressions) {
+        text += '\n\tevaluatedExpressions:' +
+          formatVariables(breakpoint.evaluatedExpressions, '\n\t\t');
+      }
+      if (breakpoint.stackFrames) {
+        text += '\n\tstackFrames:';
+        breakpoint.stackFrames.forEach(function(frame, index) {
+          text += '\n\t\t#' + index + ' ' + formatStackFrame(frame);
+          if (frame.arguments && frame.arguments.length > 0) {
+            text += '\n\t\t\targuments:' +
+              formatVariables(frame.arguments, '\n\t\t\t\t');
+          }
+          if (frame.locals && frame.locals.length > 0) {
+            text += '\n\t\t\tlocals:' +
+              formatVariables(frame.locals, '\n\t\t\t\t');
+          }
+        });
+      }
+      if (table.length > 0) {
+        text += '\n\tvariableTable:';
+        table.forEach(function(variable, index) {
+          text += '\n\t\t[' + index + '] ' +
+            formatVariable(variable, table, depth, redact_);
+        });
       }
       return text;
     };
 
-    return {
-      error: function() { log(module.exports.ERROR, slice.call(arguments)); },
-      warn: function()  { log(module.exports.WARN, slice.call(arguments));  },
-      info: function()  { log(module.exports.INFO, slice.call(arguments));  },
-      debug: function() { log(module.exports.DEBUG, slice.call(arguments)); },
-      silly: function() { log(module.exports.SILLY, slice.call(arguments)); },
-
-      /**
-       * Logs a breakpoint.
-       * @param {number} level log level
-       * @param {string} msg
-       * @param {debuglet.Breakpoint} breakpoint
-       */
-      breakpoint: function(level, msg, breakpoint) {
-        if (level_ < level) {
-          return;
-        }
-        log(level, [formatBreakpointForLog(msg, breakpoint)]);
-      },
-
-      /**
-       * Logs an associative array (map) of breakpoints
-       *
-       * @param {number} level log level
-       * @param {string} msg
-       * @param {Object.<string, Breakpoint>} map
-       */
-      breakpoints: function(level, msg, map) {
-        if (level_ < level) {
-          return;
-        }
-        var that = this;
-        log(level, [msg]);
-        Object.keys(map).forEach(function(key) {
-          that.breakpoint(level, '', this[key]);
-        }, map);
-      },
-
-      /**
-       * Logs the provided message and interval in millis.
-       *
-       * @param {number} level log level
-       * @param {string} msg
-       * @param {Array<number>} interval A time interval of the format
-       *    [seconds, nanoseconds]
-       */
-      interval: function(level, msg, interval) {
-        if (level_ < level) {
-          return;
-        }
-        log(level, [msg + ' ' + (interval[0] * 1000 + interval[1] / 1000000) +
-                    'ms']);
+    /**
+     * Records a measured duration for the timer summary, if enabled.
+     * @private
+     */
+    var recordTiming = function(label, duration) {
+      if (!options.timerSummary) {
+        return;
       }
+      timings_[label] = timings_[label] || [];
+      timings_[label].push(duration);
     };
+
+    /**
+     * Logs a summary of the durations recorded since the last one.
+     * @private
+     */
+    var logTimings = function() {
+      var timings = timings_;
+      timings_ = {};
+      var level = options.timerSummary.level || module.exports.INFO;
+      Object.keys(timings).forEach(function(label) {
+        emit(level, [summarizeDurations(label, timings[label])], fields_);
+      });
+    };
+
+    var summaryTimer_ = null;
+    if (options.timerSummary) {
+      summaryTimer_ = setInterval(logTimings,
+        options.timerSummary.interval || DEFAULT_SUMMARY_INTERVAL);
+      // The summaries should not keep the process alive.
+      if (summaryTimer_.unref) {
+        summaryTimer_.unref();
+      }
+    }
+
+    /**
+     * Calls `method` ('flush' or 'close') on the transports that have it.
+     * @return {Promise} resolved once all the calls are done.
+     * @private
+     */
+    var settle = function(method) {
+      return Promise.all(transports_.filter(function(t) {
+        return typeof t.transport[method] === 'function';
+      }).map(function(t) {
+        return t.transport[method]();
+      })).then(function() {});
+    };
+
+    /**
+     * Returns the logger API, bound to `fields`. Loggers returned by `child`
+     * share the level and transports of the logger they were created from.
+     * @private
+     */
+    var makeLogger = function(fields) {
+      var log = function(level, args) {
+        emit(level, args, fields);
+      };
+
+      var logInterval = function(level, msg, interval) {
+        log(level, [msg + ' ' + hrtimeToMillis(interval) + 'ms']);
+      };
+
+      return {
+        error: function() { log(module.exports.ERROR, slice.call(arguments)); },
+        warn: function()  { log(module.exports.WARN, slice.call(arguments));  },
+        info: function()  { log(module.exports.INFO, slice.call(arguments));  },
+        debug: function() { log(module.exports.DEBUG, slice.call(arguments)); },
+        silly: function() { log(module.exports.SILLY, slice.call(arguments)); },
+
+        /**
+         * Logs a breakpoint, including its status, captured stack frames and
+         * variables when present.
+         * @param {number} level log level
+         * @param {string} msg
+         * @param {debuglet.Breakpoint} breakpoint
+         * @param {Object=} formatOptions overrides the breakpointFormat option
+         *    of the logger. Supported properties:
+         *    - compact {boolean} log the breakpoint on a single line, with
+         *      counts instead of the stack frames and variable table.
+         *    - depth {number} how many levels of variable members to expand
+         *      (default 3).
+         */
+        breakpoint: function(level, msg, breakpoint, formatOptions) {
+          if (currentLevel() < level) {
+            return;
+          }
+          log(level, [formatBreakpointForLog(msg, breakpoint,
+            Object.assign({}, options.breakpointFormat, formatOptions))]);
+        },
+
+        /**
+         * Logs an associative array (map) of breakpoints
+         *
+         * @param {number} level log level
+         * @param {string} msg
+         * @param {Object.<string, Breakpoint>} map
+         * @param {Object=} options optional settings, also passed to
+         *    `breakpoint` (see its compact and depth options):
+         *    - sort {boolean} log the breakpoints by location, then id,
+         *      instead of in the order of the map.
+         *    - maxEntries {number} log at most this many breakpoints, followed
+         *      by a '…and N more' line.
+         *    - summary {boolean} only log the number of breakpoints by status
+         *      (active, final or error) and by file.
+         *    - diff {(boolean|string)} only log the breakpoints added, removed
+         *      or changed since the previous call in diff mode, or nothing if
+         *      there are none. Pass a name instead of true to keep a separate
+         *      baseline, e.g. per map being logged.
+         */
+        breakpoints: function(level, msg, map, options) {
+          if (currentLevel() < level) {
+            return;
+          }
+          options = options || {};
+          var that = this;
+          var keys = Object.keys(map);
+          if (options.sort) {
+            keys.sort(function(a, b) {
+              return compareBreakpoints(map[a], map[b]);
+            });
+          }
+          var logEntries = function(entryKeys, entryMsg) {
+            var maxEntries = options.maxEntries || Infinity;
+            entryKeys.slice(0, maxEntries).forEach(function(key) {
+              that.breakpoint(level, entryMsg, map[key], options);
+            });
+            if (entryKeys.length > maxEntries) {
+              log(level, ['\u2026and ' + (entryKeys.length - maxEntries) +
+                ' more']);
+            }
+          };
+
+          if (options.diff) {
+            var name = options.diff === true ? '' : String(options.diff);
+            var previous = breakpointBaselines_[name] || {};
+            var current = {};
+            keys.forEach(function(key) {
+              current[key] = JSON.stringify(map[key]);
+            });
+            breakpointBaselines_[name] = current;
+            var added = keys.filter(function(key) {
+              return !previous.hasOwnProperty(key);
+            });
+            var changed = keys.filter(function(key) {
+              return previous.hasOwnProperty(key) &&
+                previous[key] !== current[key];
+            });
+            var removed = Object.keys(previous).filter(function(key) {
+              return !current.hasOwnProperty(key);
+            });
+            if (added.length + changed.length + removed.length === 0) {
+              return;
+            }
+            log(level, [msg + util.format('%d added, %d removed, %d changed',
+              added.length, removed.length, changed.length)]);
+            logEntries(added, 'added: ');
+            logEntries(changed, 'changed: ');
+            if (removed.length > 0) {
+              log(level, ['removed: ' + removed.join(', ')]);
+            }
+            return;
+          }
+          if (options.summary) {
+            log(level, [msg + summarizeBreakpoints(keys.map(function(key) {
+              return map[key];
+            }))]);
+            return;
+          }
+          log(level, [msg]);
+          logEntries(keys, '');
+        },
+
+        /**
+         * Logs the provided message and interval in millis.
+         *
+         * @param {number} level log level
+         * @param {string} msg
+         * @param {Array<number>} interval A time interval of the format
+         *    [seconds, nanoseconds]
+         */
+        interval: function(level, msg, interval) {
+          if (currentLevel() < level) {
+            return;
+          }
+          logInterval(level, msg, interval);
+        },
+
+        /**
+         * Starts a timer, to be stopped with `timeEnd`.
+         *
+         * @param {string} label the name of the timer.
+         */
+        time: function(label) {
+          timers_[label] = process.hrtime();
+        },
+
+        /**
+         * Stops a timer started with `time` and logs the label and the elapsed
+         * time in millis.
+         *
+         * @param {string} label the name of the timer.
+         * @param {number=} level log level (default DEBUG).
+         * @return {(number|undefined)} the elapsed time in millis, or
+         *    undefined if no timer with that label was started.
+         */
+        timeEnd: function(label, level) {
+          var start = timers_[label];
+          if (!start) {
+            return undefined;
+          }
+          delete timers_[label];
+          var interval = process.hrtime(start);
+          recordTiming(label, hrtimeToMillis(interval));
+          logInterval(level || module.exports.DEBUG, label, interval);
+          return hrtimeToMillis(interval);
+        },
+
+        /**
+         * Calls `fn` and logs the message and the time it took in millis,
+         * with ' (failed)' appended to the message if it failed. `fn` can be:
+         *   - synchronous: its result is returned, its exceptions rethrown.
+         *   - asynchronous, returning a Promise: a Promise with the same
+         *     outcome is returned.
+         *   - callback based, when it declares a parameter: it is called with
+         *     a `done(err)` function to call on completion, and its result is
+         *     returned.
+         *
+         * @param {number} level log level
+         * @param {string} msg
+         * @param {function(function(?Error=)=)} fn the code to measure.
+         * @return {*} see above.
+         */
+        measure: function(level, msg, fn) {
+          var start = process.hrtime();
+          var end = function(failed) {
+            var interval = process.hrtime(start);
+            recordTiming(msg, hrtimeToMillis(interval));
+            logInterval(level, failed ? msg + ' (failed)' : msg, interval);
+          };
+          if (fn.length > 0) {
+            return fn(function(err) {
+              end(!!err);
+            });
+          }
+          var result;
+          try {
+            result = fn();
+          } catch (e) {
+            end(true);
+            throw e;
+          }
+          if (result && typeof result.then === 'function') {
+            return result.then(function(value) {
+              end(false);
+              return value;
+            }, function(err) {
+              end(true);
+              throw err;
+            });
+          }
+          end(false);
+          return result;
+        },
+
+        /**
+         * Sets the level of this logger, which is shared with its parent and
+         * children.
+         *
+         * @param {(number|string)} level a level number or a name such as
+         *    'debug' or 'warn'.
+         */
+        setLevel: function(level) {
+          level_ = parseLevel(level);
+          levelGeneration_ = levelGeneration;
+        },
+
+        /**
+         * @return {number} the current level of this logger.
+         */
+        getLevel: function() {
+          return currentLevel();
+        },
+
+        /**
+         * Returns a child logger that shares the level and transports of this
+         * logger, and adds `context` to the fields of every entry it logs.
+         *
+         * @param {Object} context fields to bind, e.g. {component: 'v8debug'}.
+         * @return {Object} the child logger.
+         */
+        child: function(context) {
+          return makeLogger(Object.assign({}, fields, context));
+        },
+
+        /**
+         * Writes any lines buffered by the transports of this logger (shared
+         * with its parent and children), e.g. by the local file.
+         *
+         * @return {Promise} resolved once the buffered lines are written.
+         */
+        flush: function() {
+          return settle('flush');
+        },
+
+        /**
+         * Flushes and closes the transports of this logger, after logging the
+         * entries suppressed by its rate limit, and stops its timer
+         * summaries. Nothing is logged to closed transports.
+         *
+         * @return {Promise} resolved once the transports are closed.
+         */
+        close: function() {
+          clearInterval(summaryTimer_);
+          if (rateLimiter_) {
+            rateLimiter_.flush();
+          }
+          return settle('close');
+        }
+      };
+    };
+
+    return makeLogger(fields_);
   } /* create */
 
 }; /* module.exports */
@@ -0,0 +1,183 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+ 'use strict';
+
+/** @const {string} */ var DEFAULT_REPLACEMENT = '[REDACTED]';
+/** @const {number} */ var MAX_DEPTH = 10;
+
+/**
+ * @param {string} key a property name.
+ * @return {string} the key, lower cased and without underscores and dashes.
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[_\-]/g, '');
+}
+
+/**
+ * @param {!Object} value
+ * @return {boolean} whether the state of the value is held internally rather
+ *    than in its properties, so that it cannot be copied.
+ */
+function isOpaque(value) {
+  return value instanceof Date || value instanceof RegExp ||
+    value instanceof Promise || value instanceof WeakMap ||
+    value instanceof WeakSet || value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value);
+}
+
+/**
+ * Creates redactors, which copy log arguments with sensitive data replaced.
+ */
+module.exports = {
+  /**
+   * Property names whose values are redacted by default. Matching ignores
+   * case, underscores and dashes, so that 'access_token' also matches
+   * 'accessToken' and 'Access-Token'.
+   * @const {Array.<string>}
+   */
+  KEYS: ['password', 'passwd', 'secret', 'token', 'access_token',
+    'refresh_token', 'id_token', 'api_key', 'apikey', 'authorization',
+    'cookie', 'private_key', 'client_secret'],
+
+  /**
+   * Patterns redacted from strings by default.
+   * @const {Object.<string, RegExp>}
+   */
+  PATTERNS: {
+    bearerToken: /\bBearer\s+[A-Za-z0-9\-._~+\/]+=*/g,
+    privateKey: new RegExp('-----BEGIN [A-Z ]*PRIVATE KEY-----' +
+      '[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----', 'g'),
+    email: /[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}/g
+  },
+
+  /**
+   * Returns a function that copies a value, replacing sensitive data. Objects,
+   * including class instances, arrays and errors are copied recursively (up
+   * to a fixed depth), keeping their prototype, and Maps and Sets are
+   * converted to redacted copies. Values whose state cannot be copied, such as
+   * promises and binary data, are returned as is.
+   *
+   * The returned function takes an optional second argument, the property
+   * name the value is stored under; values of sensitive properties are
+   * replaced as a whole. Its `isSensitiveKey` method tells whether a property
+   * name is sensitive.
+   *
+   * @param {(boolean|Object)} options true for the defaults, or an object
+   *    with the following optional properties:
+   *    - keys {Array.<string>} property names whose values are replaced
+   *      (default `KEYS`).
+   *    - patterns {Array.<RegExp>} patterns replaced in strings (default
+   *      the values of `PATTERNS`).
+   *    - replacement {string} what sensitive data is replaced with (default
+   *      '[REDACTED]').
+   *    - hook {function(string, ?string):string} called with every string,
+   *      after the patterns are applied, and the property name it is stored
+   *      under, if any. Returns the string to log.
+   * @return {function(*, string=):*}
+   */
+  create: function(options) {
+    if (options === true) {
+      options = {};
+    }
+    var keys = (options.keys || module.exports.KEYS).map(normalizeKey);
+    var patterns = (options.patterns || Object.keys(module.exports.PATTERNS)
+        .map(function(name) {
+      return module.exports.PATTERNS[name];
+    })).map(function(pattern) {
+      // String.prototype.replace only replaces every match of global regexps.
+      return pattern.global ? pattern : new RegExp(pattern.source,
+        'g' + (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : ''));
+    });
+    var replacement = options.replacement || DEFAULT_REPLACEMENT;
+    var hook = options.hook;
+
+    function isSensitiveKey(key) {
+      return typeof key === 'string' && keys.indexOf(normalizeKey(key)) !== -1;
+    }
+
+    function redactString(value, key) {
+      patterns.forEach(function(pattern) {
+        value = value.replace(pattern, replacement);
+      });
+      return hook ? hook(value, key) : value;
+    }
+
+    function redact(value, key, depth, seen) {
+      if (isSensitiveKey(key)) {
+        return replacement;
+      }
+      if (typeof value === 'string') {
+        return redactString(value, key);
+      }
+      if (!value || typeof value !== 'object' || depth >= MAX_DEPTH ||
+          isOpaque(value)) {
+        return value;
+      }
+      if (seen.has(value)) {
+        return seen.get(value);
+      }
+      var copy;
+      if (value instanceof Map) {
+        copy = new Map();
+        seen.set(value, copy);
+        value.forEach(function(entry, mapKey) {
+          copy.set(mapKey, redact(entry,
+            typeof mapKey === 'string' ? mapKey : undefined, depth + 1, seen));
+        });
+        return copy;
+      }
+      if (value instanceof Set) {
+        copy = new Set();
+        seen.set(value, copy);
+        value.forEach(function(entry) {
+          copy.add(redact(entry, undefined, depth + 1, seen));
+        });
+        return copy;
+      }
+      var prototype = Object.getPrototypeOf(value);
+      if (Array.isArray(value)) {
+        copy = [];
+      } else if (value instanceof Error) {
+        copy = Object.create(prototype);
+        Object.defineProperty(copy, 'message', {
+          value: redactString(value.message, 'message'),
+          writable: true,
+          configurable: true
+        });
+        Object.defineProperty(copy, 'stack', {
+          value: value.stack && redactString(value.stack, 'stack'),
+          writable: true,
+          configurable: true
+        });
+      } else {
+        copy = Object.create(prototype);
+      }
+      seen.set(value, copy);
+      Object.keys(value).forEach(function(property) {
+        copy[property] = redact(value[property],
+          Array.isArray(value) ? undefined : property, depth + 1, seen);
+      });
+      return copy;
+    }
+
+    var redactor = function(value, key) {
+      return redact(value, key, 0, new Map());
+    };
+    redactor.isSensitiveKey = isSensitiveKey;
+    return redactor;
+  }
+};
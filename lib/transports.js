@@ -0,0 +1,533 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+ 'use strict';
+
+var fs = require('fs');
+var request = require('request');
+var zlib = require('zlib');
+
+/** @const {number} */ var DEFAULT_MEMORY_SIZE = 1000; // entries
+/** @const {number} */ var DEFAULT_MAX_FILES = 5;
+/** @const {number} */ var DEFAULT_MAX_BUFFER = 1024 * 1024; // bytes
+
+/**
+ * File transports with data that must be written before the process exits.
+ * @type {Array.<Object>}
+ */
+var pendingFiles = [];
+var exitHandlersInstalled = false;
+
+/**
+ * Flushes the file transports when the process is about to exit: normally
+ * (asynchronously on 'beforeExit', synchronously on 'exit', which also covers
+ * uncaught exceptions) and on SIGTERM.
+ */
+function installExitHandlers() {
+  if (exitHandlersInstalled) {
+    return;
+  }
+  exitHandlersInstalled = true;
+  process.on('beforeExit', function() {
+    pendingFiles.forEach(function(file) {
+      file.flush();
+    });
+  });
+  process.on('exit', flushFilesSync);
+  process.on('SIGTERM', onSigterm);
+}
+
+function flushFilesSync() {
+  pendingFiles.forEach(function(file) {
+    file.flushSync();
+  });
+}
+
+function onSigterm() {
+  flushFilesSync();
+  // Listening for SIGTERM disables its default behavior. Restore it unless
+  // the application handles the signal itself.
+  if (process.listeners('SIGTERM').length === 1) {
+    process.removeListener('SIGTERM', onSigterm);
+    exitHandlersInstalled = false;
+    process.kill(process.pid, 'SIGTERM');
+  }
+}
+
+/**
+ * Renames `from` to `to` if `from` exists.
+ */
+function renameIfExists(from, to) {
+  if (fs.existsSync(from)) {
+    fs.renameSync(from, to);
+  }
+}
+
+/**
+ * Rotates the log file at `path`: `path` becomes `path`.1 (gzipped to
+ * `path`.1.gz if requested), `path`.1 becomes `path`.2, and so on. Only
+ * `maxFiles` rotated files are kept.
+ */
+function rotateFile(path, maxFiles, gzip) {
+  var suffix = gzip ? '.gz' : '';
+  function rotated(index) {
+    return path + '.' + index + suffix;
+  }
+  if (maxFiles === 0) {
+    fs.unlinkSync(path);
+    return;
+  }
+  if (fs.existsSync(rotated(maxFiles))) {
+    fs.unlinkSync(rotated(maxFiles));
+  }
+  for (var i = maxFiles - 1; i >= 1; i--) {
+    renameIfExists(rotated(i), rotated(i + 1));
+  }
+  if (gzip) {
+    fs.writeFileSync(rotated(1), zlib.gzipSync(fs.readFileSync(path)));
+    fs.unlinkSync(path);
+  } else {
+    fs.renameSync(path, rotated(1));
+  }
+}
+
+/**
+ * Transports receive the formatted log lines of a logger. A transport is an
+ * object with the following properties:
+ *   - write {function(string, Object)} called with the formatted line and the
+ *     log entry ({level, prefix, args, fields, time}, plus the timestamp,
+ *     pid, hostname and caller enabled on the logger) it was formatted from.
+ *   - level {(number|string)=} optional threshold, as a number or a level
+ *     name such as 'warn'; entries with a higher (more verbose) level are not
+ *     written to this transport.
+ *   - format {(string|function(Object):string)=} optional format for this
+ *     transport, 'text', 'json' or a function formatting a log entry.
+ *     Defaults to the format of the logger.
+ *   - flush {function():Promise=} optional; writes any buffered lines.
+ *   - close {function():Promise=} optional; flushes and releases resources.
+ *     Nothing is written after a transport is closed.
+ *
+ * The factories below create the transports shipped with this module; each
+ * accepts the `level` and `format` options described above.
+ */
+module.exports = {
+  /**
+   * Writes log lines to the console.
+   *
+   * @param {Object=} options optional settings. Supported properties:
+   *    - stream {string} 'stdout' (default) or 'stderr'.
+   * @return {Object} a transport.
+   */
+  console: function(options) {
+    options = options || {};
+    var stream = options.stream || 'stdout';
+    if (stream !== 'stdout' && stream !== 'stderr') {
+      throw new Error('Unknown console stream: ' + stream);
+    }
+    return {
+      level: options.level,
+      format: options.format,
+      write: function(line) {
+        if (stream === 'stderr') {
+          console.error(line);
+        } else {
+          console.log(line);
+        }
+      }
+    };
+  },
+
+  /**
+   * Writes log lines to a file, optionally rotating it once it grows too big
+   * or too old. On rotation the file is renamed to `path`.1 (the previous
+   * `path`.1 to `path`.2, and so on) and a new file is started.
+   *
+   * Lines are buffered and written asynchronously, one write at a time. When
+   * more than `maxBuffer` bytes are waiting, new lines are dropped and a note
+   * with the number of dropped lines is written once the buffer drains.
+   * Buffered lines are written when the process exits or receives SIGTERM.
+   *
+   * @param {Object} options settings. Supported properties:
+   *    - path {string} the file to write to. Required.
+   *    - limit {number} the number of lines to write before the transport
+   *      stops writing. Unlimited by default.
+   *    - maxSize {number} rotate once the file would exceed this many bytes.
+   *    - maxAge {number} rotate once the file is this many milliseconds old.
+   *      The age of an appended file counts from when it was created.
+   *    - maxFiles {number} the number of rotated files to keep (default 5).
+   *    - gzip {boolean} compress rotated files (to `path`.N.gz).
+   *    - append {boolean} append to an existing file instead of truncating
+   *      it. Defaults to true when rotating, false otherwise.
+   *    - maxBuffer {number} the number of bytes to buffer (default 1MiB).
+   *    - onError {function(Error)} called when a write fails.
+   * @return {Object} a transport, with `flush` and `close` methods.
+   */
+  file: function(options) {
+    if (!options || !options.path) {
+      throw new Error('A path is required for the file transport');
+    }
+    var path = options.path;
+    var limit = options.limit || Infinity;
+    var maxSize = options.maxSize || Infinity;
+    var maxAge = options.maxAge || Infinity;
+    var rotating = maxSize !== Infinity || maxAge !== Infinity;
+    var maxFiles = typeof options.maxFiles === 'number' ?
+      options.maxFiles : DEFAULT_MAX_FILES;
+    var append = typeof options.append === 'boolean' ?
+      options.append : rotating;
+    var maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+    var count = 0;
+    var fd, size, opened;
+    var queue = [];  // lines waiting to be written.
+    var buffered = 0;  // bytes in the queue.
+    var dropped = 0;
+    var writing = false;
+    var closed = false;
+    var drained = [];  // callbacks waiting for the queue to drain.
+
+    function open(flags) {
+      if (flags === 'a') {
+        // Lines are written at explicit positions, which files opened for
+        // appending ignore, so the file is only created that way.
+        fs.closeSync(fs.openSync(path, 'a'));
+        flags = 'r+';
+      }
+      fd = fs.openSync(path, flags);
+      var stats = fs.fstatSync(fd);
+      size = stats.size;
+      opened = Date.now();
+      if (size > 0) {
+        // Restarts must not postpone the rotation of an appended file. Not
+        // every file system records the creation time.
+        var created = stats.birthtime.getTime() > 0 ? stats.birthtime :
+          stats.mtime;
+        opened = Math.min(opened, created.getTime());
+      }
+    }
+
+    function rotate() {
+      fs.closeSync(fd);
+      try {
+        rotateFile(path, maxFiles, options.gzip);
+      } catch (e) {
+        // Keep logging to the current file rather than losing entries.
+        open('a');
+        return;
+      }
+      open('w');
+    }
+
+    function enqueue(data) {
+      queue.push(data);
+      buffered += Buffer.byteLength(data);
+    }
+
+    /**
+     * Takes the next lines to write off the queue, rotating the file first
+     * if needed. Lines going to different files are never taken together.
+     * The chunk goes at the end of the file, before `size` is advanced past
+     * it.
+     *
+     * @param {boolean=} keepFile take every line without rotating.
+     */
+    function takeChunk(keepFile) {
+      var chunk = '';
+      var chunkBytes = 0;
+      if (!keepFile && queue.length > 0 && Date.now() - opened >= maxAge) {
+        rotate();
+      }
+      while (queue.length > 0) {
+        var bytes = Buffer.byteLength(queue[0]);
+        if (!keepFile && size + chunkBytes > 0 &&
+            size + chunkBytes + bytes > maxSize) {
+          if (chunkBytes > 0) {
+            break;
+          }
+          rotate();
+        }
+        chunk += queue.shift();
+        chunkBytes += bytes;
+        buffered -= bytes;
+      }
+      size += chunkBytes;
+      return chunk;
+    }
+
+    function reportError(err) {
+      if (options.onError) {
+        options.onError(err);
+      }
+    }
+
+    function drain() {
+      if (writing) {
+        return;
+      }
+      var chunk = takeChunk();
+      if (!chunk) {
+        var callbacks = drained;
+        drained = [];
+        callbacks.forEach(function(callback) {
+          callback();
+        });
+        return;
+      }
+      writing = true;
+      fs.write(fd, chunk, size - Buffer.byteLength(chunk), 'utf8',
+          function(err) {
+        writing = false;
+        if (err) {
+          reportError(err);
+        }
+        drain();
+      });
+    }
+
+    open(append ? 'a' : 'w');
+    var transport = {
+      level: options.level,
+      format: options.format,
+      write: function(line) {
+        if (closed || count >= limit) {
+          return;
+        }
+        count++;
+        var data = line + '\n';
+        if (buffered + Buffer.byteLength(data) > maxBuffer) {
+          dropped++;
+          return;
+        }
+        if (dropped > 0) {
+          enqueue('Dropped ' + dropped + ' log lines: buffer full\n');
+          dropped = 0;
+        }
+        enqueue(data);
+        drain();
+      },
+
+      /**
+       * @return {Promise} resolved once the buffered lines are written.
+       */
+      flush: function() {
+        return new Promise(function(resolve) {
+          if (closed || (!writing && queue.length === 0)) {
+            resolve();
+            return;
+          }
+          drained.push(resolve);
+          drain();
+        });
+      },
+
+      /**
+       * Writes the buffered lines synchronously, for use while the process
+       * exits. While an asynchronous write is in flight the file is not
+       * rotated, as that would close it under the write, and the lines are
+       * written after the ones in flight.
+       */
+      flushSync: function() {
+        if (closed) {
+          return;
+        }
+        var chunk;
+        while ((chunk = takeChunk(writing))) {
+          try {
+            fs.writeSync(fd, chunk, size - Buffer.byteLength(chunk));
+          } catch (e) {
+            reportError(e);
+          }
+        }
+      },
+
+      /**
+       * @return {Promise} resolved once the buffered lines are written and
+       *    the file is closed.
+       */
+      close: function() {
+        return transport.flush().then(function() {
+          if (closed) {
+            return;
+          }
+          closed = true;
+          pendingFiles.splice(pendingFiles.indexOf(transport), 1);
+          return new Promise(function(resolve) {
+            fs.close(fd, function(err) {
+              if (err) {
+                reportError(err);
+              }
+              resolve();
+            });
+          });
+        });
+      }
+    };
+    pendingFiles.push(transport);
+    installExitHandlers();
+    return transport;
+  },
+
+  /**
+   * Keeps the most recent log lines in memory, e.g. to attach them to a
+   * diagnostics report.
+   *
+   * @param {Object=} options optional settings. Supported properties:
+   *    - size {number} the number of lines to keep (default 1000).
+   * @return {Object} a transport, with two extra methods: `lines()` returns
+   *    the retained lines, oldest first, and `clear()` drops them.
+   */
+  memory: function(options) {
+    options = options || {};
+    var size = options.size || DEFAULT_MEMORY_SIZE;
+    var lines = [];
+    return {
+      level: options.level,
+      format: options.format,
+      write: function(line) {
+        lines.push(line);
+        if (lines.length > size) {
+          lines.shift();
+        }
+      },
+      lines: function() {
+        return lines.slice();
+      },
+      clear: function() {
+        lines = [];
+      }
+    };
+  },
+
+  /**
+   * Hands log lines to an arbitrary function. A plain function in the
+   * `transports` option of `logger.create` is wrapped with this factory.
+   *
+   * @param {function(string, Object)} fn receives (line, entry).
+   * @param {Object=} options optional settings.
+   * @return {Object} a transport.
+   */
+  custom: function(fn, options) {
+    options = options || {};
+    return {
+      level: options.level,
+      format: options.format,
+      write: fn
+    };
+  },
+
+  /**
+   * Sends log lines to an HTTP endpoint. Lines are sent as the body of a
+   * request, `batchSize` lines at a time, separated by newlines. Failures are
+   * reported to `onError`, never logged.
+   *
+   * @param {Object} options settings. Supported properties:
+   *    - url {string} the endpoint to send to. Required.
+   *    - method {string} the http method (default 'POST').
+   *    - headers {Object} extra headers to include in the requests.
+   *    - batchSize {number} the number of lines per request (default 1).
+   *    - onError {function(Error)} called when a request fails.
+   *    - request {function(Object, function(?, ?, ?))} request style
+   *      function used to send (default: the request module).
+   *    - format defaults to 'json' for this transport.
+   * @return {Object} a transport, with `flush` and `close` methods sending
+   *    the current partial batch.
+   */
+  http: function(options) {
+    if (!options || !options.url) {
+      throw new Error('A url is required for the http transport');
+    }
+    var format = options.format || 'json';
+    var send = options.request || request;
+    var batchSize = options.batchSize || 1;
+    var batch = [];
+    var inFlight = 0;
+    var idle = [];  // callbacks waiting for the pending requests.
+    var closed = false;
+    var headers = Object.assign({
+      'Content-Type': format === 'json' ? 'application/x-ndjson' : 'text/plain'
+    }, options.headers);
+
+    function reportError(err) {
+      if (options.onError) {
+        options.onError(err);
+      }
+    }
+
+    function sendBatch() {
+      var body = batch.join('\n') + '\n';
+      batch = [];
+      inFlight++;
+      send({
+        url: options.url,
+        method: options.method || 'POST',
+        headers: headers,
+        body: body
+      }, function(err, response) {
+        if (err) {
+          reportError(err);
+        } else if (response.statusCode >= 400) {
+          reportError(new Error('Log sink responded with status ' +
+            response.statusCode));
+        }
+        if (--inFlight === 0) {
+          var callbacks = idle;
+          idle = [];
+          callbacks.forEach(function(callback) {
+            callback();
+          });
+        }
+      });
+    }
+
+    var transport = {
+      level: options.level,
+      format: format,
+      write: function(line) {
+        if (closed) {
+          return;
+        }
+        batch.push(line);
+        if (batch.length >= batchSize) {
+          sendBatch();
+        }
+      },
+
+      /**
+       * @return {Promise} resolved once the pending lines are sent.
+       */
+      flush: function() {
+        if (batch.length > 0) {
+          sendBatch();
+        }
+        return new Promise(function(resolve) {
+          if (inFlight === 0) {
+            resolve();
+          } else {
+            idle.push(resolve);
+          }
+        });
+      },
+
+      /**
+       * @return {Promise} resolved once the pending lines are sent.
+       */
+      close: function() {
+        closed = true;
+        return transport.flush();
+      }
+    };
+    return transport;
+  }
+};
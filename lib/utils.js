@@ -16,7 +16,10 @@
 
  'use strict';
 
+var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var GoogleAuth = require('google-auth-library');
 var request = require('request');
 // we only need a single instance
@@ -25,47 +28,373 @@ var googleAuth = new GoogleAuth();
 /** @const {number} */ var MAX_RETRY_ATTEMPTS = 5;
 /** @const {number} */ var MIN_RETRY_TIMEOUT = 1000; // milliseconds
 
-var METADATA_URL = 'http://metadata.google.internal/computeMetadata/v1';
+/** @const {number} */ var MAX_WATCH_RETRY_TIMEOUT = 60000; // milliseconds
+/** @const {number} */ var WATCH_POLL_INTERVAL = 5000; // milliseconds
+/** @const {number} */ var METADATA_PROBE_TIMEOUT = 1000; // milliseconds
+/** @const {number} */ var METADATA_REQUEST_TIMEOUT = 5000; // milliseconds
+/** @const {number} */ var AUTH_REFRESH_RETRY_DELAY = 30000; // milliseconds
+/** @const {number} */ var TOKEN_EXPIRY_MARGIN = 60000; // milliseconds
+/** @const {number} */ var DEFAULT_TOKEN_LIFETIME = 3600; // seconds
+
+/** @const {string} */
+var CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+/** @const {string} */
+var IAM_CREDENTIALS_URL =
+  'https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/';
+/** @const {string} */ var DEFAULT_STS_URL = 'https://sts.googleapis.com/v1/token';
+
+/** @const {Array<string>} */
+var JITTER_STRATEGIES = ['none', 'full', 'equal', 'decorrelated'];
+// Retry policy settings that can also be given with the request options.
+/** @const {Array<string>} */
+var CANCELLATION_SETTINGS = ['timeout', 'totalTimeout', 'signal'];
+
+/** @const {string} */ var DEFAULT_METADATA_HOST = 'metadata.google.internal';
+/** @const {Array<string>} */
+var METADATA_HOSTS = [DEFAULT_METADATA_HOST, '169.254.169.254'];
+
+// Metadata host configured through setMetadataHost, if any.
+var configuredMetadataHost = null;
+
+// Process-wide cache of metadata values, keyed by metadata url. Entries are
+// of the form {value: ?, expires: number} once resolved, or
+// {callbacks: Array<Function>} while a lookup is in flight.
+var metadataCache = {};
+// Time in milliseconds that resolved metadata values stay cached.
+var metadataCacheTtl = Infinity;
+
+/** @const {Array<number>} */ var TRANSIENT_CODES = [
+  429, // Too many requests.
+  500, // Internal server error.
+  503  // Service Unavailable.
+];
+
+/**
+ * Returns true if `err` is a transient error code or a timeout, or if
+ * `response` carries a transient HTTP status code.
+ * @param {?Object} err The error, possibly with an error code.
+ * @param {?Object=} response The http response, if any.
+ * @return {boolean} Whether the failure is transient.
+ */
+function isTransientError(err, response) {
+  if (err && (TRANSIENT_CODES.indexOf(err.code) !== -1 ||
+      err.code === 'ETIMEDOUT')) {
+    return true;
+  }
+  return !!(response && TRANSIENT_CODES.indexOf(response.statusCode) !== -1);
+}
+
+/**
+ * Returns the delay requested by the `Retry-After` header of `response`, if
+ * any. The header can either be a number of seconds or an HTTP-date.
+ * @param {?Object=} response The http response, if any.
+ * @return {?number} delay in milliseconds, or null if there is no usable
+ *     Retry-After header.
+ */
+function retryAfterDelay(response) {
+  var value = response && response.headers && response.headers['retry-after'];
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  value = value.trim();
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  var date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+function numberOr(value, fallback) {
+  return typeof value === 'number' ? value : fallback;
+}
+
+/**
+ * Fills in the defaults for a retry policy accepted by `requestWithRetry`.
+ *
+ * @param {Object=} policy a (possibly partial) retry policy.
+ * @return {Object} a complete retry policy.
+ */
+function normalizeRetryPolicy(policy) {
+  policy = policy || {};
+  var jitter = policy.jitter || 'none';
+  if (JITTER_STRATEGIES.indexOf(jitter) === -1) {
+    throw new Error('Unknown retry jitter strategy: ' + jitter);
+  }
+  return {
+    maxAttempts: numberOr(policy.maxAttempts, MAX_RETRY_ATTEMPTS),
+    baseDelay: numberOr(policy.baseDelay, MIN_RETRY_TIMEOUT),
+    maxDelay: numberOr(policy.maxDelay, Infinity),
+    jitter: jitter,
+    deadline: numberOr(policy.deadline, Infinity),
+    shouldRetry: policy.shouldRetry || isTransientError,
+    timeout: numberOr(policy.timeout, Infinity),
+    totalTimeout: numberOr(policy.totalTimeout, Infinity),
+    signal: policy.signal || null
+  };
+}
+
+/**
+ * Returns an error with the given code, e.g. 'ETIMEDOUT' or 'ECANCELED'.
+ */
+function requestError(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+}
 
 /**
- * Returns true if `err` is a transient error code.
- * @param {?number} err The error code.
- * @return {boolean} Whether `err` is a transient error.
+ * Returns an AbortController, or an equivalent object on versions of node
+ * without one. Its `signal` can be passed to `requestWithRetry`, to the
+ * functions returned by `authorizedRequestFactory`, to `getMetadata` and to
+ * the metadata getters such as `getProjectId`; calling `abort()` cancels them.
+ *
+ * @return {{signal: Object, abort: function()}}
  */
-function isTransientError(err) {
-  // 429 - Too many requests.
-  // 500 - Internal server error.
-  // 503 - Service Unavailable.
-  return (err && [429, 500, 503].indexOf(err.code) !== -1);
+function createAbortController() {
+  if (typeof global.AbortController === 'function') {
+    return new global.AbortController();
+  }
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      if (type === 'abort') {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener: function(type, listener) {
+      var index = listeners.indexOf(listener);
+      if (type === 'abort' && index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  };
+  return {
+    signal: signal,
+    abort: function() {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      listeners.slice().forEach(function(listener) {
+        listener.call(signal, {type: 'abort'});
+      });
+    }
+  };
+}
+
+/**
+ * Moves the timeout, totalTimeout and signal properties of `options` into a
+ * copy of the retry `policy`, so that they apply to the whole retried request
+ * rather than being handed to the request function.
+ *
+ * @return {{options: Object, policy: ?Object}}
+ */
+function extractCancellation(options, policy) {
+  if (!options || typeof options !== 'object') {
+    return {options: options, policy: policy};
+  }
+  var settings = CANCELLATION_SETTINGS.filter(function(name) {
+    return options[name] !== undefined;
+  });
+  if (settings.length === 0) {
+    return {options: options, policy: policy};
+  }
+  options = Object.assign({}, options);
+  policy = Object.assign({}, policy);
+  settings.forEach(function(name) {
+    policy[name] = options[name];
+    delete options[name];
+  });
+  return {options: options, policy: policy};
+}
+
+/**
+ * Aborts an in-flight request, if the request function returned something
+ * that can be aborted.
+ */
+function abortRequest(req) {
+  if (req && typeof req.abort === 'function') {
+    req.abort();
+  }
+}
+
+/**
+ * Returns a random number of milliseconds in the range [min, max).
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
 }
 
 /**
  * Returns a backoff delay using an exponential backoff algorithm.
  * @param {number} attempt 1-indexed attempt number. The first retry would
  *    be attempt number 2.
+ * @param {Object} policy a normalized retry policy.
+ * @param {number} previousDelay the delay used before the previous attempt
+ *    (only used by the decorrelated jitter strategy).
  * @return {number} backoff delay in milliseconds.
  */
-function retryDelay(attempt) {
-  return MIN_RETRY_TIMEOUT * Math.pow(2, (attempt-1));
+function retryDelay(attempt, policy, previousDelay) {
+  var base = policy.baseDelay;
+  var delay = Math.min(policy.maxDelay, base * Math.pow(2, (attempt-1)));
+  switch (policy.jitter) {
+    case 'full':
+      return randomBetween(0, delay);
+    case 'equal':
+      return delay / 2 + randomBetween(0, delay / 2);
+    case 'decorrelated':
+      return Math.min(policy.maxDelay,
+          randomBetween(base, Math.max(base, (previousDelay || base) * 3)));
+    default:
+      return delay;
+  }
+}
+
+/**
+ * Runs `fn` with a node style callback. When `callback` is a function it is
+ * handed to `fn` directly and nothing is returned. Otherwise a Promise is
+ * returned that settles with the (err, value) `fn` calls back with.
+ *
+ * @param {?Function|undefined} callback the caller supplied callback, if any.
+ * @param {function(function(?, *=))} fn the operation to run.
+ * @return {Promise|undefined}
+ */
+function callbackOrPromise(callback, fn) {
+  if (typeof callback === 'function') {
+    fn(callback);
+    return;
+  }
+  return new Promise(function(resolve, reject) {
+    fn(function(err, value) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(value);
+    });
+  });
+}
+
+/**
+ * Adapts a request style (err, response, body) callback so that it can be
+ * used with `callbackOrPromise`. Without a callback, the Promise resolves with
+ * an object of the form {response: response, body: body}.
+ *
+ * @param {?Function|undefined} callback the caller supplied callback, if any.
+ * @param {function(function(?, ?=, ?=))} fn the request to run.
+ * @return {Promise|undefined}
+ */
+function requestCallbackOrPromise(callback, fn) {
+  if (typeof callback === 'function') {
+    fn(callback);
+    return;
+  }
+  return callbackOrPromise(null, function(done) {
+    fn(function(err, response, body) {
+      done(err, {response: response, body: body});
+    });
+  });
 }
 
 /**
  * Returns a google auth client for the current application with provided
- * scopes and configuration .
+ * scopes and configuration. Returns a Promise if no callback is provided.
+ *
+ * The credentials are selected through the properties of `config`, in this
+ * order of precedence:
+ *   - apiKey {string} an API key, sent with every request.
+ *   - accessToken {(string|function)} an OAuth2 access token, or a function
+ *     supplying one, either to a (err, token) callback or through the Promise
+ *     or string it returns. The function is called for every request.
+ *   - keyFile {string} the path to a JSON key file.
+ *   - credentials {Object} the contents of a JSON key file.
+ *   - otherwise, application default credentials.
+ * Key files, including the application default one, can be service account
+ * keys or external_account configurations (workload identity federation)
+ * with a file or url credential_source.
+ *
+ * An `impersonate` property ({targetPrincipal, delegates, lifetime}) makes
+ * the client act as the target service account, using the credentials above
+ * (other than an API key or access token) to obtain its tokens.
  */
 function getAuthClient(scopes, config, callback) {
   if (typeof(config) === 'function') {
     callback = config;
     config = null;
   }
+  return callbackOrPromise(callback, function(callback) {
+    loadAuthClient(scopes, config, callback);
+  });
+}
 
-  if (config && config.keyFile) {
-    googleAuth.fromStream(fs.createReadStream(config.keyFile), addScope);
-  } else if (config && config.credentials) {
-    googleAuth.fromJSON(config.credentials, addScope);
-  } else {
-    googleAuth.getApplicationDefault(addScope);
+function loadAuthClient(scopes, config, callback) {
+  config = config || {};
+  if (config.apiKey) {
+    return process.nextTick(function() {
+      callback(null, createApiKeyClient(config.apiKey));
+    });
   }
+  if (config.accessToken) {
+    return process.nextTick(function() {
+      callback(null, createTokenClient(function(done) {
+        supplyToken(config.accessToken, done);
+      }));
+    });
+  }
+  if (!config.impersonate) {
+    return loadKeyClient(scopes, config, callback);
+  }
+  // Impersonation requires the cloud-platform scope on the source credentials.
+  loadKeyClient([CLOUD_PLATFORM_SCOPE], config, function(err, source) {
+    if (err) {
+      return callback(err);
+    }
+    var url = IAM_CREDENTIALS_URL +
+      encodeURIComponent(config.impersonate.targetPrincipal) +
+      ':generateAccessToken';
+    callback(null, createTokenClient(function(done) {
+      generateAccessToken(function(options, cb) {
+        source.request(options, function(err, body, response) {
+          cb(err, response, body);
+        });
+      }, url, scopes, config.impersonate, done);
+    }));
+  });
+}
+
+/**
+ * Loads the client for a key file, given by the keyFile or credentials
+ * properties of `config`, or the application default credentials.
+ */
+function loadKeyClient(scopes, config, callback) {
+  var keyFile = config.keyFile;
+  if (config.credentials) {
+    if (config.credentials.type === 'external_account') {
+      return process.nextTick(function() {
+        callback(null, createExternalAccountClient(config.credentials, scopes));
+      });
+    }
+    if (!keyFile) {
+      return googleAuth.fromJSON(config.credentials, addScope);
+    }
+  }
+  keyFile = keyFile || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  if (!keyFile) {
+    return googleAuth.getApplicationDefault(addScope);
+  }
+  readJSONFile(keyFile, function(json) {
+    if (json && json.type === 'external_account') {
+      callback(null, createExternalAccountClient(json, scopes));
+    } else if (config.keyFile) {
+      googleAuth.fromStream(fs.createReadStream(config.keyFile), addScope);
+    } else {
+      googleAuth.getApplicationDefault(addScope);
+    }
+  });
 
   function addScope(err, authClient) {
     if (err) {
@@ -79,121 +408,1149 @@ function getAuthClient(scopes, config, callback) {
   }
 }
 
+/**
+ * Returns an auth client sending `apiKey` with every request. Responses are
+ * passed on as `request` returns them.
+ */
+function createApiKeyClient(apiKey) {
+  var client = new googleAuth.OAuth2();
+  // Requests carry no access token.
+  client.getAccessToken = function(callback) {
+    callback(null, null);
+  };
+  client.getRequestMetadata = function(uri, callback) {
+    callback(null, {});
+  };
+  client.request = function(options, callback) {
+    return request(Object.assign({}, options, {
+      headers: Object.assign({}, options.headers, {'X-Goog-Api-Key': apiKey})
+    }), function(err, response, body) {
+      // Auth clients call back with (err, body, response).
+      callback(err, body, response);
+    });
+  };
+  return client;
+}
+
+/**
+ * Returns an auth client whose access tokens are obtained from `fetchToken`,
+ * which calls back with (err, token, expiryDate). Tokens with an expiry date
+ * are reused until shortly before they expire; others are fetched again for
+ * every request.
+ *
+ * @param {function(function(?Error, string=, number=))} fetchToken
+ */
+function createTokenClient(fetchToken) {
+  var client = new googleAuth.OAuth2();
+  // Fetches a new token, keeping the current one until it arrives.
+  function refresh(callback) {
+    fetchToken(function(err, token, expiryDate) {
+      if (err) {
+        return callback(err);
+      }
+      client.credentials = {access_token: token, expiry_date: expiryDate};
+      callback(null, token);
+    });
+  }
+  client.getAccessToken = function(callback) {
+    var credentials = client.credentials;
+    if (credentials.access_token && credentials.expiry_date &&
+        credentials.expiry_date - Date.now() > TOKEN_EXPIRY_MARGIN) {
+      return callback(null, credentials.access_token);
+    }
+    refresh(callback);
+  };
+  client.getRequestMetadata = function(uri, callback) {
+    client.getAccessToken(function(err, token) {
+      if (err) {
+        return callback(err, null);
+      }
+      callback(null, {Authorization: 'Bearer ' + token});
+    });
+  };
+  // Called by the client to retry 401 responses with a new token, and to
+  // refresh tokens ahead of their expiry.
+  client.refreshAccessToken = function(callback) {
+    refresh(function(err) {
+      callback(err, client.credentials);
+    });
+  };
+  return client;
+}
+
+/**
+ * Calls back with the access token given by the accessToken option: a
+ * string, or a function supplying one to a callback or through the Promise
+ * or string it returns.
+ */
+function supplyToken(supplier, callback) {
+  if (typeof supplier !== 'function') {
+    return callback(null, supplier);
+  }
+  var called = false;
+  function done(err, token) {
+    if (!called) {
+      called = true;
+      callback(err, token);
+    }
+  }
+  var result;
+  try {
+    result = supplier(done);
+  } catch (e) {
+    return done(e);
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(function(token) {
+      done(null, token);
+    }, done);
+  } else if (typeof result === 'string') {
+    done(null, result);
+  }
+}
+
+/**
+ * Returns an error for an unsuccessful response of a token endpoint.
+ */
+function tokenError(what, response, body) {
+  var details = body && (body.error_description ||
+    (body.error && body.error.message) || body.error);
+  var err = new Error(what + ' failed with status ' + response.statusCode +
+    (details ? ': ' + details : ''));
+  err.code = response.statusCode;
+  return err;
+}
+
+/**
+ * Obtains an access token for a service account through the IAM Credentials
+ * generateAccessToken method.
+ *
+ * @param {function(Object, function(?, ?, ?))} send request style function
+ *     authorized to call the method.
+ * @param {string} url the generateAccessToken url of the service account.
+ * @param {Array<string>} scopes the scopes of the token.
+ * @param {Object} options optional delegates and lifetime (in seconds).
+ * @param {function(?Error, string=, number=)} callback called with the token
+ *     and its expiry date.
+ */
+function generateAccessToken(send, url, scopes, options, callback) {
+  send({
+    url: url,
+    method: 'POST',
+    json: {
+      scope: scopes,
+      delegates: options.delegates,
+      lifetime: (options.lifetime || DEFAULT_TOKEN_LIFETIME) + 's'
+    }
+  }, function(err, response, body) {
+    if (err) {
+      return callback(err);
+    }
+    if (response.statusCode !== 200) {
+      return callback(tokenError('Service account impersonation', response,
+        body));
+    }
+    callback(null, body.accessToken, Date.parse(body.expireTime));
+  });
+}
+
+/**
+ * Reads the subject token of an external_account configuration from the file
+ * or url of its credential_source.
+ */
+function readSubjectToken(source, callback) {
+  var format = source.format || {};
+  function parse(text) {
+    if (format.type !== 'json') {
+      return callback(null, text.trim());
+    }
+    var token;
+    try {
+      token = JSON.parse(text)[format.subject_token_field_name];
+    } catch (e) {
+      return callback(new Error('Could not parse the subject token: ' +
+        e.message));
+    }
+    if (!token) {
+      return callback(new Error('No ' + format.subject_token_field_name +
+        ' in the subject token response'));
+    }
+    callback(null, token);
+  }
+
+  if (source.file) {
+    fs.readFile(source.file, 'utf8', function(err, text) {
+      if (err) {
+        return callback(err);
+      }
+      parse(text);
+    });
+  } else if (source.url) {
+    requestWithRetry(request, {
+      url: source.url,
+      headers: source.headers,
+      method: 'GET'
+    }, function(err, response, body) {
+      if (err) {
+        return callback(err);
+      }
+      if (response.statusCode !== 200) {
+        return callback(tokenError('Fetching the subject token', response));
+      }
+      parse(body);
+    });
+  } else {
+    callback(new Error('Unsupported credential_source: only file and url ' +
+      'sources are supported'));
+  }
+}
+
+/**
+ * Returns an auth client for an external_account configuration (workload
+ * identity federation): the subject token of its credential_source is
+ * exchanged for a Google access token at its token_url, which is then used to
+ * impersonate its service account, if any.
+ *
+ * @param {Object} json the external_account configuration.
+ * @param {Array<string>=} scopes defaults to the cloud-platform scope.
+ */
+function createExternalAccountClient(json, scopes) {
+  if (!scopes || scopes.length === 0) {
+    scopes = [CLOUD_PLATFORM_SCOPE];
+  }
+  return createTokenClient(function(done) {
+    readSubjectToken(json.credential_source || {}, function(err, subjectToken) {
+      if (err) {
+        return done(err);
+      }
+      requestWithRetry(request, {
+        url: json.token_url || DEFAULT_STS_URL,
+        method: 'POST',
+        json: true,
+        form: {
+          grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+          audience: json.audience,
+          scope: json.service_account_impersonation_url ?
+            CLOUD_PLATFORM_SCOPE : scopes.join(' '),
+          requested_token_type:
+            'urn:ietf:params:oauth:token-type:access_token',
+          subject_token: subjectToken,
+          subject_token_type: json.subject_token_type
+        }
+      }, function(err, response, body) {
+        if (err) {
+          return done(err);
+        }
+        if (response.statusCode !== 200) {
+          return done(tokenError('Token exchange', response, body));
+        }
+        if (!json.service_account_impersonation_url) {
+          return done(null, body.access_token,
+            Date.now() + body.expires_in * 1000);
+        }
+        generateAccessToken(function(options, cb) {
+          options.headers = {Authorization: 'Bearer ' + body.access_token};
+          request(options, cb);
+        }, json.service_account_impersonation_url, scopes,
+          json.service_account_impersonation || {}, done);
+      });
+    });
+  });
+}
+
 /**
  * Performs the provided request fn using the options and callback. If the
  * request fails with a server error, it automatically retries using exponential
- * backoff. This will retry atleast 4 times.
- *
- * TODO(ofrobots): maybe accept a config object instead of the request function?
- *     Perhaps we can allow the caller to specify retry count, etc.
+ * backoff. By default this will retry atleast 4 times. When the server sends a
+ * `Retry-After` header, its value is used as the delay instead.
  *
  * @param {function(Object, function(=?,=?,=?):?} request style function
  *     accepting (options, callback).
  * @param {Object} options options to pass to request function
- * @param {Function} callback for request
+ * @param {Object=} policy an optional retry policy. Supported properties:
+ *     - maxAttempts {number} total number of attempts, including the first
+ *       one (default 5).
+ *     - baseDelay {number} delay in milliseconds before the first retry
+ *       (default 1000). Subsequent delays grow exponentially.
+ *     - maxDelay {number} upper bound in milliseconds on a single delay.
+ *     - jitter {string} one of 'none' (default), 'full', 'equal' or
+ *       'decorrelated'.
+ *     - deadline {number} overall time budget in milliseconds. No retry is
+ *       scheduled that would start after the deadline has passed.
+ *     - shouldRetry {function(?, ?):boolean} predicate receiving
+ *       (err, response) that decides whether a failed attempt is retried.
+ *       Defaults to retrying on 429, 500 and 503 error codes or response
+ *       status codes, and on timeouts.
+ *     - timeout {number} time in milliseconds after which an attempt is
+ *       abandoned, failing with an 'ETIMEDOUT' error (retried by default).
+ *     - totalTimeout {number} time in milliseconds after which the request
+ *       and any scheduled retry are abandoned, failing with an 'ETIMEDOUT'
+ *       error.
+ *     - signal {Object} an AbortSignal (see `createAbortController`).
+ *       Aborting it abandons the request and any scheduled retry, failing
+ *       with an 'ECANCELED' error.
+ *     Abandoned requests are aborted if the request function returned an
+ *     object with an `abort` method, as the request module does.
+ * @param {Function=} callback for request. If omitted, a Promise resolving to
+ *     {response: response, body: body} is returned instead.
+ * @return {Promise|undefined}
  */
-function requestWithRetry(request, options, callback) {
+function requestWithRetry(request, options, policy, callback) {
+  if (typeof policy === 'function') {
+    callback = policy;
+    policy = null;
+  }
+  policy = normalizeRetryPolicy(policy);
+  return requestCallbackOrPromise(callback, function(callback) {
+    retryRequest(request, options, policy, callback);
+  });
+}
+
+function retryRequest(request, options, policy, callback) {
+  var start = Date.now();
+  var previousDelay = 0;
+  var signal = policy.signal;
+  var finished = false;
+  var inFlight = null; // what the request function returned, if in flight.
+  var retryTimer = null;
+  var totalTimer = null;
+
+  function finish(err, response, body) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(retryTimer);
+    clearTimeout(totalTimer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    callback(err, response, body);
+  }
+
+  function abandon(err) {
+    abortRequest(inFlight);
+    inFlight = null;
+    finish(err);
+  }
+
+  function onAbort() {
+    abandon(requestError('Request cancelled', 'ECANCELED'));
+  }
+
   function tryRequest(attempt) {
-    request(options, function(err, response, body) {
-      if (isTransientError(err) && attempt < MAX_RETRY_ATTEMPTS) {
-        var delay = retryDelay(attempt);
-        setTimeout(function() {
-          tryRequest(attempt + 1);
-        }, delay);
+    var attemptDone = false;
+    var attemptTimer = null;
+
+    function onResponse(err, response, body) {
+      if (attemptDone || finished) {
         return;
       }
-      // not a (server) error, or retried too many times already.
-      callback(err, response, body);
-    });
+      attemptDone = true;
+      clearTimeout(attemptTimer);
+      inFlight = null;
+      if (attempt < policy.maxAttempts && policy.shouldRetry(err, response)) {
+        var delay = retryAfterDelay(response);
+        if (delay === null) {
+          delay = retryDelay(attempt, policy, previousDelay);
+        }
+        var elapsed = Date.now() - start + delay;
+        if (elapsed < policy.deadline && elapsed < policy.totalTimeout) {
+          previousDelay = delay;
+          retryTimer = setTimeout(function() {
+            tryRequest(attempt + 1);
+          }, delay);
+          return;
+        }
+      }
+      // not a (server) error, retried too many times already, or out of time.
+      finish(err, response, body);
+    }
+
+    if (policy.timeout !== Infinity) {
+      attemptTimer = setTimeout(function() {
+        abortRequest(inFlight);
+        onResponse(requestError('Request attempt timed out after ' +
+          policy.timeout + 'ms', 'ETIMEDOUT'));
+      }, policy.timeout);
+    }
+    var req = request(options, onResponse);
+    if (!attemptDone) {
+      inFlight = req;
+    }
   }
 
+  if (signal && signal.aborted) {
+    process.nextTick(onAbort);
+    return;
+  }
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+  if (policy.totalTimeout !== Infinity) {
+    totalTimer = setTimeout(function() {
+      abandon(requestError('Request timed out after ' + policy.totalTimeout +
+        'ms', 'ETIMEDOUT'));
+    }, policy.totalTimeout);
+  }
   tryRequest(1);
 }
 
+/**
+ * Fetches a new access token for `client`. The JWT client of
+ * google-auth-library keeps the token of its gtoken until that expires, so
+ * the gtoken is dropped first.
+ */
+function refreshAccessToken(client, callback) {
+  if (client.gtoken) {
+    client.gtoken = null;
+  }
+  client.refreshAccessToken(callback);
+}
+
 /**
  * Returns a request style function that can make authorized requests to a
  * Google API using Google Application Default credentials. This hides the
  * the details of working with auth in the client code.
  *
+ * Requests answered with a 401 are retried once with freshly loaded
+ * credentials. The returned function also has:
+ *   - invalidate() drops the cached credentials, so that they are loaded
+ *     again, with a new access token, by the next request.
+ *   - events an EventEmitter emitting 'acquired' (authClient) when
+ *     credentials are loaded, 'refreshed' (expiryDate) when they are
+ *     refreshed ahead of their expiry, and 'failed' (err) when loading or
+ *     refreshing them fails.
+ *
  * @param {Array<string>} scopes list of scopes to request as part of auth
  * @param {Object} config an object with extra configuration parameters (such
- *     as keyFile or key)
+ *     as keyFile or key). A `retry` property, if present, is used as the retry
+ *     policy for every request (see `requestWithRetry`). A `refreshSkew`
+ *     property, in milliseconds, enables refreshing the access token in the
+ *     background that long before it expires.
  * @return {function(Object, function(=?,=?,=?):?)} request style function
- *     accepting (options, callback)
+ *     accepting (options, callback). When called without a callback it returns
+ *     a Promise resolving to {response: response, body: body}. The timeout,
+ *     totalTimeout and signal properties of the options override those of the
+ *     retry policy for that request.
  */
 function authorizedRequestFactory(scopes, config) {
   // The AuthClient instance associated with each instantiation
   var authClient;
+  // Callbacks waiting for the auth client being loaded, if any. Concurrent
+  // requests share a single load.
+  var pendingAuthClient = null;
+  var events = new EventEmitter();
+  var refreshSkew = config && config.refreshSkew;
+  var refreshTimer = null;
+  // Whether the next load must fetch a new access token: getAuthClient may
+  // return the same client, still holding the token that was invalidated.
+  var staleToken = false;
+
+  function invalidate() {
+    authClient = null;
+    pendingAuthClient = null;
+    staleToken = true;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  /**
+   * Schedules a background refresh `refreshSkew` before the access token of
+   * the current client expires, but no sooner than `minDelay`.
+   */
+  function scheduleRefresh(minDelay) {
+    var expiry = authClient && authClient.credentials &&
+      authClient.credentials.expiry_date;
+    if (typeof refreshSkew !== 'number' || refreshTimer || !expiry) {
+      return;
+    }
+    var delay = Math.max(minDelay || 0, expiry - refreshSkew - Date.now());
+    refreshTimer = setTimeout(refresh, delay);
+    // Refreshing should not keep the process alive.
+    if (refreshTimer.unref) {
+      refreshTimer.unref();
+    }
+  }
+
+  // Loads the auth client and its first access token, which concurrent
+  // requests would otherwise each fetch.
+  function loadClientAndToken(callback) {
+    var refreshToken = staleToken;
+    staleToken = false;
+    getAuthClient(scopes, config, function(err, client) {
+      if (err || typeof client.getAccessToken !== 'function') {
+        staleToken = staleToken || refreshToken;
+        callback(err, client);
+        return;
+      }
+      function done(err) {
+        if (err) {
+          staleToken = staleToken || refreshToken;
+        }
+        callback(err, client);
+      }
+      if (refreshToken && typeof client.refreshAccessToken === 'function') {
+        refreshAccessToken(client, done);
+      } else {
+        client.getAccessToken(done);
+      }
+    });
+  }
+
+  // Refreshes the access token of the current client. The client only swaps
+  // in the new token once it is fetched, so that requests keep using the
+  // current token meanwhile. A refresh that does not extend the expiry, as
+  // with a client reusing a cached token, is retried later like a failed one.
+  function refresh() {
+    var client = authClient;
+    var expiry = client.credentials.expiry_date;
+    refreshAccessToken(client, function(err) {
+      var refreshed = client.credentials && client.credentials.expiry_date;
+      if (!err && (!refreshed || refreshed <= expiry)) {
+        err = new Error('The refreshed access token expires no later than ' +
+          'the previous one');
+      }
+      if (err) {
+        events.emit('failed', err);
+      }
+      if (authClient !== client) {
+        return; // invalidated meanwhile.
+      }
+      refreshTimer = null;
+      if (err) {
+        scheduleRefresh(AUTH_REFRESH_RETRY_DELAY);
+        return;
+      }
+      events.emit('refreshed', refreshed);
+      scheduleRefresh();
+    });
+  }
+
+  function sendRequest(client, options, callback) {
+    return client.request(options, function(err, body, response) {
+      // Ugh. google-auth-library changes the argument order for the
+      // callback. Fix that here.
+      callback(err, response, body);
+      scheduleRefresh();
+    });
+  }
+
+  // Loads the auth client, unless a load is already in flight. Failures are
+  // not remembered: the next request tries again.
+  function loadClient(callback) {
+    if (pendingAuthClient) {
+      pendingAuthClient.push(callback);
+      return;
+    }
+    var waiting = [callback];
+    pendingAuthClient = waiting;
+    loadClientAndToken(function(err, client) {
+      // Unless invalidated meanwhile.
+      var current = pendingAuthClient === waiting;
+      if (current) {
+        pendingAuthClient = null;
+      }
+      if (err) {
+        events.emit('failed', err);
+      } else if (current) {
+        authClient = client;
+        events.emit('acquired', client);
+        scheduleRefresh();
+      }
+      waiting.forEach(function(cb) {
+        cb(err, client);
+      });
+    });
+  }
+
   function makeRequest(options, callback) {
     // authClient expects options to be an object rather than a bare url.
     // Coerce into an object here
     if (typeof options === 'string') {
       options = {url: options};
     }
-    if (authClient) {
-      authClient.request(options, function(err, body, response) {
-        // Ugh. google-auth-library changes the argument order for the
-        // callback. Fix that here.
-        callback(err, response, body);
-      });
-    } else {
-      getAuthClient(scopes, config, function(err, client) {
-        if (err) {
+    var aborted = false;
+    // The request in flight, if it can be aborted (see requestWithRetry).
+    var req = null;
+    // The client the request was last sent with.
+    var sentWith = null;
 
-          callback(err);
+    // Sends the request once the auth client is loaded, unless aborted
+    // meanwhile.
+    function makeAuthorizedRequest(done) {
+      if (authClient) {
+        sentWith = authClient;
+        req = sendRequest(authClient, options, done);
+        return;
+      }
+      loadClient(function(err, client) {
+        if (aborted) {
           return;
         }
-        if (!authClient) {
-          // google-auth-library changes the argument order for the
-          // callback. Fix that here.
-          authClient = client;
+        if (err) {
+          done(err);
+          return;
         }
-        authClient.request(options, function(err, body, response) {
-          callback(err, response, body);
-        });
+        sentWith = client;
+        req = sendRequest(client, options, done);
       });
     }
+
+    makeAuthorizedRequest(function(err, response, body) {
+      if (response && response.statusCode === 401 && !aborted) {
+        // The credentials may have been revoked or rotated: load them again,
+        // unless a concurrent request already did, or is doing so.
+        if (authClient === sentWith) {
+          invalidate();
+        }
+        makeAuthorizedRequest(callback);
+        return;
+      }
+      callback(err, response, body);
+    });
+    return {
+      abort: function() {
+        aborted = true;
+        abortRequest(req);
+      }
+    };
   }
 
-  return function(options, callback) {
-    requestWithRetry(makeRequest, options, callback);
+  var retryPolicy = config && config.retry;
+  var authorizedRequest = function(options, callback) {
+    var request = extractCancellation(options, retryPolicy);
+    return requestWithRetry(makeRequest, request.options, request.policy,
+      callback);
   };
+  authorizedRequest.invalidate = invalidate;
+  authorizedRequest.events = events;
+  return authorizedRequest;
+}
+
+/**
+ * Looks up the metadata value stored under `key` in the process-wide cache.
+ * On a miss, `fetch` is invoked to compute the value; concurrent callers for
+ * the same key share that single pending lookup. Errors are never cached.
+ *
+ * A caller cancelled through the signal or totalTimeout of its `options`
+ * stops waiting for the lookup, which is itself only cancelled once no caller
+ * is waiting for it anymore. The per-attempt timeout of the caller starting
+ * a lookup applies to that lookup.
+ *
+ * @param {string} key cache key (usually the metadata url).
+ * @param {function(Object, function(?, *=))} fetch performs the actual
+ *     lookup, given the timeout and signal to make its requests with.
+ * @param {?Object} options the timeout, totalTimeout and signal of the caller
+ *     (see `requestWithRetry`), if any.
+ * @param {function(?, *=)} callback an (err, result) style callback
+ */
+function cachedMetadataValue(key, fetch, options, callback) {
+  options = options || {};
+  var signal = options.signal;
+  if (signal && signal.aborted) {
+    process.nextTick(function() {
+      callback(requestError('Request cancelled', 'ECANCELED'));
+    });
+    return;
+  }
+  var entry = metadataCache[key];
+  if (entry && !entry.callbacks && entry.expires > Date.now()) {
+    process.nextTick(function() {
+      callback(null, entry.value);
+    });
+    return;
+  }
+
+  var start = !entry || !entry.callbacks;
+  if (start) {
+    entry = metadataCache[key] = {
+      callbacks: [],
+      controller: createAbortController()
+    };
+  }
+  var timer = null;
+  function waiter(err, value) {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    callback(err, value);
+  }
+  function detach(err) {
+    var index = entry.callbacks.indexOf(waiter);
+    if (index === -1) {
+      return;
+    }
+    entry.callbacks.splice(index, 1);
+    if (entry.callbacks.length === 0) {
+      // Nobody is waiting for the lookup anymore.
+      if (metadataCache[key] === entry) {
+        delete metadataCache[key];
+      }
+      entry.controller.abort();
+    }
+    waiter(err);
+  }
+  function onAbort() {
+    detach(requestError('Request cancelled', 'ECANCELED'));
+  }
+  entry.callbacks.push(waiter);
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+  if (typeof options.totalTimeout === 'number') {
+    timer = setTimeout(function() {
+      detach(requestError('Request timed out after ' + options.totalTimeout +
+        'ms', 'ETIMEDOUT'));
+    }, options.totalTimeout);
+  }
+  if (!start) {
+    return;
+  }
+
+  fetch({
+    timeout: options.timeout,
+    signal: entry.controller.signal
+  }, function(err, value) {
+    var callbacks = entry.callbacks;
+    entry.callbacks = [];
+    if (metadataCache[key] === entry) {
+      if (err) {
+        delete metadataCache[key];
+      } else {
+        metadataCache[key] = {
+          value: value,
+          expires: Date.now() + metadataCacheTtl
+        };
+      }
+    }
+    callbacks.forEach(function(cb) {
+      cb(err, value);
+    });
+  });
 }
 
-function getMetadataValue(url, headers, callback) {
+/**
+ * Drops all cached metadata values, as well as the result of `isAvailable`, so
+ * that subsequent lookups go back to the metadata service. Lookups that are
+ * already in flight are not affected, but their results are not cached.
+ */
+function clearCache() {
+  metadataCache = {};
+}
+
+/**
+ * Sets the time in milliseconds for which metadata values stay cached. Use
+ * this for deployments where values (e.g. the hostname) can change during the
+ * lifetime of the process. The default, Infinity, caches values forever.
+ *
+ * @param {number} ttl time to live in milliseconds.
+ */
+function setCacheTtl(ttl) {
+  metadataCacheTtl = ttl;
+}
+
+/**
+ * Sets the host (and optionally port) of the metadata service used by all
+ * metadata lookups, e.g. 'localhost:8080' for a local emulator. This takes
+ * precedence over the GCE_METADATA_HOST environment variable. Pass null to
+ * restore the default.
+ *
+ * @param {?string} host the metadata host.
+ */
+function setMetadataHost(host) {
+  configuredMetadataHost = host || null;
+}
+
+/**
+ * Returns the metadata host overriding the default one, if any. In order of
+ * precedence this is the per-call `host`, the host set with `setMetadataHost`
+ * and the GCE_METADATA_HOST environment variable.
+ *
+ * @param {?string=} host a per-call host.
+ * @return {?string}
+ */
+function metadataHostOverride(host) {
+  return host || configuredMetadataHost || process.env.GCE_METADATA_HOST ||
+    null;
+}
+
+/**
+ * Returns the full url of the metadata `path`.
+ * @param {string} path metadata path, relative to the v1 metadata root.
+ * @param {?string=} host a per-call metadata host.
+ * @return {string}
+ */
+function metadataUrl(path, host) {
+  return 'http://' + (metadataHostOverride(host) || DEFAULT_METADATA_HOST) +
+    '/computeMetadata/v1/' + path.replace(/^\/+/, '');
+}
+
+/**
+ * Returns the cache key for the result of `isAvailable` for `host`. Other
+ * cache keys are metadata urls, so this cannot collide with them.
+ * @param {?string=} host a per-call metadata host.
+ * @return {string}
+ */
+function availabilityKey(host) {
+  return 'available:' + (metadataHostOverride(host) || '');
+}
+
+/**
+ * Returns an error if a previous `isAvailable` probe found that the metadata
+ * service cannot be reached, or null otherwise. The error is reported like a
+ * DNS failure so that callers handle both the same way.
+ * @param {?string=} host a per-call metadata host.
+ * @return {?Error}
+ */
+function metadataUnavailableError(host) {
+  var entry = metadataCache[availabilityKey(host)];
+  if (!entry || entry.callbacks || entry.value !== false ||
+      entry.expires <= Date.now()) {
+    return null;
+  }
+  var err = new Error('The metadata service is not available');
+  err.code = 'ENOTFOUND';
+  return err;
+}
+
+/**
+ * Checks whether the metadata service at `host` answers as the real metadata
+ * service does, i.e. with a `Metadata-Flavor: Google` response header.
+ */
+function probeMetadataHost(host, timeout, callback) {
+  request({
+    url: 'http://' + host + '/computeMetadata/v1/',
+    headers: {'Metadata-Flavor': 'Google'},
+    timeout: timeout,
+    method: 'GET'
+  }, function(err, response) {
+    callback(!err && response.headers['metadata-flavor'] === 'Google');
+  });
+}
+
+/**
+ * Probes whether the metadata service is reachable, trying both its hostname
+ * and its IP address in parallel with a short timeout. If the metadata host is
+ * overridden (see `setMetadataHost`), only that host is probed. The result is
+ * cached process-wide (see `clearCache`). Once the service is known to be
+ * unavailable, the metadata getters fail immediately instead of retrying.
+ *
+ * @param {Object=} options optional settings. Supported properties:
+ *     - timeout {number} per-host timeout in milliseconds (default 1000).
+ *     - host {string} the metadata host to probe.
+ * @param {function(?, boolean=)=} callback an (err, result) style callback. If
+ *     omitted, a Promise is returned instead.
+ * @return {Promise<boolean>|undefined}
+ */
+function isAvailable(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var timeout = numberOr(options.timeout, METADATA_PROBE_TIMEOUT);
+  return callbackOrPromise(callback, function(callback) {
+    var override = metadataHostOverride(options.host);
+    var hosts = override ? [override] : METADATA_HOSTS;
+    cachedMetadataValue(availabilityKey(options.host), function(_, callback) {
+      var remaining = hosts.length;
+      var settled = false;
+      hosts.forEach(function(host) {
+        probeMetadataHost(host, timeout, function(available) {
+          remaining--;
+          if (!settled && (available || remaining === 0)) {
+            settled = true;
+            callback(null, available);
+          }
+        });
+      });
+    }, null, callback);
+  });
+}
+
+function getMetadataValue(url, headers, options, callback) {
+  var err = metadataUnavailableError();
+  if (err) {
+    process.nextTick(function() {
+      callback(err);
+    });
+    return;
+  }
   headers['Metadata-Flavor'] = 'Google';
 
   requestWithRetry(request, {
     url: url,
     headers: headers,
     method: 'GET'
-  }, callback);
+  }, extractCancellation(options, {timeout: METADATA_REQUEST_TIMEOUT}).policy,
+    callback);
+}
+
+/**
+ * Normalizes the optional (headers, options, callback) arguments of the
+ * metadata getters.
+ * @return {{headers: Object, options: Object, callback: ?function}}
+ */
+function getterArguments(headers, options, callback) {
+  if (typeof headers === 'function') {
+    callback = headers;
+    headers = null;
+    options = null;
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return {headers: headers || {}, options: options || {}, callback: callback};
+}
+
+/**
+ * Returns an error for an unexpected (non 200) metadata response, with the
+ * response status code as its code.
+ */
+function statusError(response, message) {
+  var err = new Error(message + ': unexpected status ' + response.statusCode);
+  err.code = response.statusCode;
+  return err;
+}
+
+/**
+ * Converts a raw metadata response into the value it holds, parsing JSON for
+ * recursive requests. Anything other than a 200 response is reported as an
+ * error whose code is the response status code.
+ */
+function parseMetadataResponse(path, recursive, err, response, body, callback) {
+  if (err) {
+    return callback(err);
+  }
+  if (response.statusCode !== 200) {
+    err = new Error('Unexpected status ' + response.statusCode +
+      ' when fetching metadata ' + path);
+    err.code = response.statusCode;
+    return callback(err);
+  }
+  if (!recursive) {
+    return callback(null, body);
+  }
+  var value;
+  try {
+    value = JSON.parse(body);
+  } catch (e) {
+    return callback(new Error('Could not parse metadata ' + path + ': ' +
+      e.message));
+  }
+  callback(null, value);
+}
+
+/**
+ * Retrieves an arbitrary value from the metadata service
+ * (See https://cloud.google.com/compute/docs/storing-retrieving-metadata).
+ * Unlike the fixed getters, the result is not cached.
+ *
+ * @param {string} path metadata path relative to the v1 metadata root, e.g.
+ *     'instance/attributes/my-attribute' or 'project/attributes/'.
+ * @param {Object=} options optional settings. Supported properties:
+ *     - recursive {boolean} fetch the whole tree below `path` and parse it as
+ *       JSON.
+ *     - headers {Object} extra headers to include in the http request.
+ *     - retry {Object} a retry policy (see `requestWithRetry`).
+ *     - host {string} the metadata host (see `setMetadataHost`).
+ *     - timeout {number} time in milliseconds after which an attempt is
+ *       abandoned (default 5000).
+ *     - totalTimeout {number} time in milliseconds after which the lookup is
+ *       abandoned, retries included.
+ *     - signal {Object} an AbortSignal cancelling the lookup (see
+ *       `createAbortController`).
+ * @param {function(?, *=)=} callback an (err, result) style callback. If
+ *     omitted, a Promise is returned instead.
+ * @return {Promise|undefined}
+ */
+function getMetadata(path, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  return callbackOrPromise(callback, function(callback) {
+    var err = metadataUnavailableError(options.host);
+    if (err) {
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+    requestWithRetry(request, {
+      url: metadataUrl(path, options.host),
+      headers: Object.assign({'Metadata-Flavor': 'Google'}, options.headers),
+      qs: options.recursive ? {recursive: true} : undefined,
+      method: 'GET'
+    }, extractCancellation(options, Object.assign({
+      timeout: METADATA_REQUEST_TIMEOUT
+    }, options.retry)).policy, function(err, response, body) {
+      parseMetadataResponse(path, options.recursive, err, response, body,
+        callback);
+    });
+  });
+}
+
+/**
+ * Watches a metadata value for changes by long-polling the metadata service
+ * with `wait_for_change=true`. The returned emitter emits:
+ *   - 'change' (value, etag) with the current value once it is first fetched,
+ *     and every time it changes afterwards.
+ *   - 'error' (err) when a poll fails. Polling continues after an
+ *     exponential backoff. Errors are only emitted when there is a listener.
+ * Call `stop()` on the emitter to stop watching.
+ *
+ * Servers that do not return an ETag, such as some metadata emulators, cannot
+ * be long-polled: they are polled every `pollInterval` instead, and changes
+ * are detected by comparing the values.
+ *
+ * @param {string} path metadata path relative to the v1 metadata root.
+ * @param {Object=} options optional settings. Supported properties:
+ *     - recursive {boolean} watch the whole tree below `path`; values are
+ *       parsed as JSON.
+ *     - headers {Object} extra headers to include in the http requests.
+ *     - retry {Object} a retry policy controlling the backoff between failed
+ *       polls (see `requestWithRetry`). Only the delay settings are used.
+ *     - host {string} the metadata host (see `setMetadataHost`).
+ *     - pollInterval {number} milliseconds between polls of servers that do
+ *       not return an ETag (default 5000).
+ * @return {EventEmitter}
+ */
+function watchMetadata(path, options) {
+  options = options || {};
+  var policy = normalizeRetryPolicy(Object.assign({
+    maxDelay: MAX_WATCH_RETRY_TIMEOUT
+  }, options.retry));
+  var headers = Object.assign({'Metadata-Flavor': 'Google'}, options.headers);
+  var emitter = new EventEmitter();
+  var pollInterval = numberOr(options.pollInterval, WATCH_POLL_INTERVAL);
+  var etag = null;
+  var lastBody = null;
+  var failures = 0;
+  var previousDelay = 0;
+  var pending = null;
+  var timer = null;
+  var stopped = false;
+
+  function poll() {
+    var qs = {};
+    if (options.recursive) {
+      qs.recursive = true;
+    }
+    if (etag) {
+      qs.wait_for_change = true;
+      qs.last_etag = etag;
+    }
+    pending = request({
+      url: metadataUrl(path, options.host),
+      headers: headers,
+      qs: qs,
+      method: 'GET'
+    }, function(err, response, body) {
+      pending = null;
+      if (stopped) {
+        return;
+      }
+      parseMetadataResponse(path, options.recursive, err, response, body,
+          function(err, value) {
+        if (err) {
+          failures++;
+          previousDelay = retryDelay(failures, policy, previousDelay);
+          timer = setTimeout(poll, previousDelay);
+          if (emitter.listenerCount('error') > 0) {
+            emitter.emit('error', err);
+          }
+          return;
+        }
+        failures = 0;
+        previousDelay = 0;
+        var newEtag = response.headers.etag;
+        var changed = newEtag ? newEtag !== etag : body !== lastBody;
+        etag = newEtag;
+        lastBody = body;
+        // Poll again before emitting so that a listener can stop the watch.
+        if (etag) {
+          poll();
+        } else {
+          timer = setTimeout(poll, pollInterval);
+        }
+        if (changed) {
+          emitter.emit('change', value, etag);
+        }
+      });
+    });
+  }
+
+  emitter.stop = function() {
+    stopped = true;
+    clearTimeout(timer);
+    if (pending) {
+      pending.abort();
+      pending = null;
+    }
+  };
+
+  process.nextTick(function() {
+    if (!stopped) {
+      poll();
+    }
+  });
+  return emitter;
+}
+
+/**
+ * Retrieves (and caches) the metadata value stored at `path`. Anything other
+ * than a 200 response is reported as an error.
+ *
+ * @param {string} path metadata path, relative to the v1 metadata root.
+ * @param {function(?, string=)} callback an (err, result) style callback
+ */
+function getCachedMetadataValue(path, callback) {
+  cachedMetadataValue(metadataUrl(path), function(cancellation, callback) {
+    getMetadata(path, cancellation, callback);
+  }, null, callback);
 }
 
 /**
  * Attempts to retrieve the project number for the current active project from
  * the metadata service (See https://cloud.google.com/compute/docs/metadata).
+ * The result is cached process-wide (see `clearCache`).
  *
  * @param {object=} headers optional headers to include in the http request.
  *     Note that the headers, if provided, may be extended with extra
  *     properties.
- * @param {function(?, number):?} callback an (err, result) style callback
+ * @param {Object=} options optional settings. Supported properties:
+ *     - timeout {number} time in milliseconds after which an attempt is
+ *       abandoned (default 5000).
+ *     - totalTimeout {number} time in milliseconds after which the lookup is
+ *       abandoned, retries included.
+ *     - signal {Object} an AbortSignal cancelling the lookup (see
+ *       `createAbortController`).
+ *     A lookup shared with concurrent callers is only abandoned once none
+ *     of them is waiting for it anymore.
+ * @param {function(?, number):?=} callback an (err, result) style callback.
+ *     If omitted, a Promise is returned instead.
+ * @return {Promise<string>|undefined}
  */
-function getProjectNumber(headers, callback) {
-  if (typeof headers === 'function') {
-    callback = headers;
-    headers = {};
-  }
-  getMetadataValue(METADATA_URL + '/project/numeric-project-id',
-      headers, function(err, response, project) {
-    if (!err && response.statusCode === 200) {
-      return callback(null, project);
-    } else if (err && err.code === 'ENOTFOUND') {
-      return callback(new Error('Could not auto-discover project-id. Please export ' +
-        'GCLOUD_PROJECT with your project name'));
-    } else {
-      return callback(err || new Error('Error discovering project num'));
-    }
+function getProjectNumber(headers, options, callback) {
+  var args = getterArguments(headers, options, callback);
+  return callbackOrPromise(args.callback, function(callback) {
+    var url = metadataUrl('/project/numeric-project-id');
+    cachedMetadataValue(url, function(cancellation, callback) {
+      getMetadataValue(url, args.headers, cancellation,
+          function(err, response, project) {
+        if (!err && response.statusCode === 200) {
+          return callback(null, project);
+        } else if (err && err.code === 'ENOTFOUND') {
+          return callback(new Error('Could not auto-discover project-id. ' +
+            'Please export GCLOUD_PROJECT with your project name'));
+        } else {
+          return callback(err || new Error('Error discovering project num'));
+        }
+      });
+    }, args.options, callback);
   });
 }
 
@@ -201,27 +1558,35 @@ function getProjectNumber(headers, callback) {
  * Attempts to retreive the project id for the current active project from the
  * metadata service. The GCLOUD_PROJECT env variable or another identifying
  * project name/id must be set so that the underlying request library can
- * successfully query the metadata service.
+ * successfully query the metadata service. The result is cached process-wide
+ * (see `clearCache`).
  * {@link https://cloud.google.com/compute/docs/storing-retrieving-metadata}
  * @param {Object} [headers] - An optional set of headers to include in the http
  *  request. This function may mutate the given headers object.
- * @param {getProjectIdCallback} callback - A callback to receive the
- *  response body (project id) or error encountered during the request.
+ * @param {Object} [options] - Optional timeout, totalTimeout and signal
+ *  settings, as accepted by `getProjectNumber`.
+ * @param {getProjectIdCallback} [callback] - A callback to receive the
+ *  response body (project id) or error encountered during the request. If
+ *  omitted, a Promise resolving to the project id is returned instead.
+ * @return {Promise<string>|undefined}
  */
-function getProjectId(headers, callback) {
-  if (typeof headers === 'function') {
-    callback = headers;
-    headers = {};
-  }
-  getMetadataValue(METADATA_URL + '/project/project-id', headers,
-    function (err, response, projectId) {
-      if (!err && response.statusCode === 200) {
-        return callback(null, projectId);
-      } else if (err && err.code === 'ENOTFOUND') {
-        return callback(new Error('Could not auto-discover project-id.' +
-          'Please export GCLOUD_PROJECT with your project name'), null);
-      }
-      return callback(err || new Error('Error discovering project id'), null);
+function getProjectId(headers, options, callback) {
+  var args = getterArguments(headers, options, callback);
+  return callbackOrPromise(args.callback, function(callback) {
+    var url = metadataUrl('/project/project-id');
+    cachedMetadataValue(url, function(cancellation, callback) {
+      getMetadataValue(url, args.headers, cancellation,
+        function (err, response, projectId) {
+          if (!err && response.statusCode === 200) {
+            return callback(null, projectId);
+          } else if (err && err.code === 'ENOTFOUND') {
+            return callback(new Error('Could not auto-discover project-id.' +
+              'Please export GCLOUD_PROJECT with your project name'), null);
+          }
+          return callback(err || new Error('Error discovering project id'),
+            null);
+      });
+    }, args.options, callback);
   });
 }
 
@@ -246,43 +1611,274 @@ function getProjectId(headers, callback) {
  * utils.getProjectId(myCallback);
  */
 
+/**
+ * Reads and parses the JSON file at `file`. Calls back with null if the file
+ * cannot be read or parsed.
+ */
+function readJSONFile(file, callback) {
+  fs.readFile(file, 'utf8', function(err, contents) {
+    if (err) {
+      return callback(null);
+    }
+    var json = null;
+    try {
+      json = JSON.parse(contents);
+    } catch (e) {}
+    callback(json);
+  });
+}
+
+/**
+ * Returns the directory holding the gcloud SDK configuration.
+ * @return {string}
+ */
+function gcloudConfigDir() {
+  if (process.env.CLOUDSDK_CONFIG) {
+    return process.env.CLOUDSDK_CONFIG;
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, 'gcloud');
+  }
+  return path.join(os.homedir(), '.config', 'gcloud');
+}
+
+/**
+ * Reads the `project` property of the `[core]` section of the active gcloud
+ * SDK configuration. Calls back with null if there is none.
+ */
+function readGcloudProject(callback) {
+  var dir = gcloudConfigDir();
+  fs.readFile(path.join(dir, 'active_config'), 'utf8', function(err, name) {
+    name = (!err && name.trim()) || 'default';
+    var file = path.join(dir, 'configurations', 'config_' + name);
+    fs.readFile(file, 'utf8', function(err, contents) {
+      if (err) {
+        return callback(null);
+      }
+      var section = null;
+      var project = null;
+      contents.split(/\r?\n/).forEach(function(line) {
+        line = line.trim();
+        var header = /^\[(.*)\]$/.exec(line);
+        if (header) {
+          section = header[1].trim();
+          return;
+        }
+        var property = /^project\s*[=:]\s*(.*)$/.exec(line);
+        if (section === 'core' && property && property[1]) {
+          project = property[1].trim();
+        }
+      });
+      callback(project);
+    });
+  });
+}
+
+/**
+ * Resolves the project id for the current application by consulting, in
+ * order:
+ *   1. `config.projectId`
+ *   2. the GCLOUD_PROJECT and GOOGLE_CLOUD_PROJECT environment variables
+ *   3. the `project_id` of `config.keyFile` or `config.credentials`
+ *   4. the active gcloud SDK configuration
+ *   5. the metadata service (see `getProjectId`)
+ *
+ * @param {Object=} config an object with configuration parameters, as
+ *     accepted by `getAuthClient`, optionally with a `projectId` property.
+ * @param {function(?, Object=)=} callback an (err, result) style callback.
+ *     The result is of the form {projectId: string, source: string}, where
+ *     source is one of 'config', 'GCLOUD_PROJECT', 'GOOGLE_CLOUD_PROJECT',
+ *     'keyFile', 'credentials', 'gcloud' or 'metadata'. If omitted, a Promise
+ *     is returned instead.
+ * @return {Promise<Object>|undefined}
+ */
+function resolveProjectId(config, callback) {
+  if (typeof config === 'function') {
+    callback = config;
+    config = null;
+  }
+  config = config || {};
+  return callbackOrPromise(callback, function(callback) {
+    function found(projectId, source) {
+      callback(null, {projectId: projectId, source: source});
+    }
+
+    if (config.projectId) {
+      return found(config.projectId, 'config');
+    }
+    if (process.env.GCLOUD_PROJECT) {
+      return found(process.env.GCLOUD_PROJECT, 'GCLOUD_PROJECT');
+    }
+    if (process.env.GOOGLE_CLOUD_PROJECT) {
+      return found(process.env.GOOGLE_CLOUD_PROJECT, 'GOOGLE_CLOUD_PROJECT');
+    }
+
+    // Mirror the precedence used by getAuthClient.
+    if (config.keyFile) {
+      readJSONFile(config.keyFile, function(key) {
+        if (key && key.project_id) {
+          return found(key.project_id, 'keyFile');
+        }
+        fromGcloud();
+      });
+    } else if (config.credentials && config.credentials.project_id) {
+      found(config.credentials.project_id, 'credentials');
+    } else {
+      fromGcloud();
+    }
+
+    function fromGcloud() {
+      readGcloudProject(function(projectId) {
+        if (projectId) {
+          return found(projectId, 'gcloud');
+        }
+        getProjectId(function(err, projectId) {
+          if (err) {
+            return callback(err);
+          }
+          found(projectId, 'metadata');
+        });
+      });
+    }
+  });
+}
+
 /**
  * Attempts to retrieve the GCE instance hostname for the current active project
  * from the metadata service (See https://cloud.google.com/compute/docs/metadata).
+ * The result is cached process-wide (see `clearCache`).
  *
  * @param {object=} headers optional headers to include in the http request.
  *     Note that the headers, if provided, may be extended with extra
  *     properties.
- * @param {function(?, number):?} callback an (err, result) style callback
+ * @param {Object=} options optional timeout, totalTimeout and signal
+ *     settings (see `getProjectNumber`).
+ * @param {function(?, number):?=} callback an (err, result) style callback.
+ *     If omitted, a Promise is returned instead.
+ * @return {Promise<string>|undefined}
  */
-function getHostname(headers, callback) {
-  if (typeof headers === 'function') {
-    callback = headers;
-    headers = {};
-  }
-  getMetadataValue(METADATA_URL + '/instance/hostname',
-      headers, function(err, response, hostname) {
-    callback(err, hostname);
+function getHostname(headers, options, callback) {
+  var args = getterArguments(headers, options, callback);
+  return callbackOrPromise(args.callback, function(callback) {
+    var url = metadataUrl('/instance/hostname');
+    cachedMetadataValue(url, function(cancellation, callback) {
+      getMetadataValue(url, args.headers, cancellation,
+          function(err, response, hostname) {
+        if (!err && response.statusCode === 200) {
+          return callback(null, hostname);
+        }
+        callback(err || statusError(response, 'Error discovering hostname'));
+      });
+    }, args.options, callback);
   });
 }
 
 /**
  * Attempts to retrieve the GCE instance id for the current active project
  * from the metadata service (See https://cloud.google.com/compute/docs/metadata).
+ * The result is cached process-wide (see `clearCache`).
  *
  * @param {object=} headers optional headers to include in the http request.
  *     Note that the headers, if provided, may be extended with extra
  *     properties.
- * @param {function(?, number):?} callback an (err, result) style callback
+ * @param {Object=} options optional timeout, totalTimeout and signal
+ *     settings (see `getProjectNumber`).
+ * @param {function(?, number):?=} callback an (err, result) style callback.
+ *     If omitted, a Promise is returned instead.
+ * @return {Promise<string>|undefined}
  */
-function getInstanceId(headers, callback) {
-  if (typeof headers === 'function') {
-    callback = headers;
-    headers = {};
-  }
-  getMetadataValue(METADATA_URL + '/instance/id',
-      headers, function(err, response, id) {
-    callback(err, id);
+function getInstanceId(headers, options, callback) {
+  var args = getterArguments(headers, options, callback);
+  return callbackOrPromise(args.callback, function(callback) {
+    var url = metadataUrl('/instance/id');
+    cachedMetadataValue(url, function(cancellation, callback) {
+      getMetadataValue(url, args.headers, cancellation,
+          function(err, response, id) {
+        if (!err && response.statusCode === 200) {
+          return callback(null, id);
+        }
+        callback(err || statusError(response, 'Error discovering instance id'));
+      });
+    }, args.options, callback);
+  });
+}
+
+/**
+ * Detects the platform the current process is running on, by combining well
+ * known environment variables with probes of the metadata service.
+ *
+ * @param {function(?, Object=)=} callback an (err, result) style callback. The
+ *     result is of the form {platform: string, service: ?string,
+ *     version: ?string, zone: ?string, region: ?string, cluster: ?string},
+ *     where platform is one of 'app_engine', 'cloud_functions', 'cloud_run',
+ *     'gke', 'gce' or 'local'. Fields that are not known are null. If
+ *     omitted, a Promise is returned instead.
+ * @return {Promise<Object>|undefined}
+ */
+function detectEnvironment(callback) {
+  return callbackOrPromise(callback, function(callback) {
+    var env = process.env;
+    var descriptor = {
+      platform: null,
+      service: null,
+      version: null,
+      zone: null,
+      region: null,
+      cluster: null
+    };
+
+    if (env.GAE_SERVICE || env.GAE_MODULE_NAME) {
+      descriptor.platform = 'app_engine';
+      descriptor.service = env.GAE_SERVICE || env.GAE_MODULE_NAME;
+      descriptor.version = env.GAE_VERSION || env.GAE_MODULE_VERSION || null;
+    } else if (env.FUNCTION_NAME || env.FUNCTION_TARGET) {
+      // Newer Cloud Functions runtimes also set K_SERVICE, so this has to be
+      // checked before Cloud Run.
+      descriptor.platform = 'cloud_functions';
+      descriptor.service = env.FUNCTION_NAME || env.K_SERVICE || null;
+      descriptor.version = env.K_REVISION ||
+        env.X_GOOGLE_FUNCTION_VERSION || null;
+    } else if (env.K_SERVICE) {
+      descriptor.platform = 'cloud_run';
+      descriptor.service = env.K_SERVICE;
+      descriptor.version = env.K_REVISION || null;
+    } else if (env.KUBERNETES_SERVICE_HOST) {
+      descriptor.platform = 'gke';
+    }
+
+    getCachedMetadataValue('/instance/zone', function(err, zone) {
+      if (!err) {
+        // Of the form projects/<number>/zones/<zone>.
+        descriptor.zone = zone.split('/').pop();
+        // Compute zones such as us-central1-b belong to the region before the
+        // letter. Serverless zones such as us-central1-1 do not follow that
+        // scheme; their region is looked up below.
+        var region = /^(.+)-[a-z]$/.exec(descriptor.zone);
+        descriptor.region = region ? region[1] : null;
+      } else if (descriptor.platform === null) {
+        descriptor.platform = 'local';
+        return callback(null, descriptor);
+      }
+      descriptor.platform = descriptor.platform || 'gce';
+
+      if (descriptor.platform === 'gke') {
+        getCachedMetadataValue('/instance/attributes/cluster-name',
+            function(err, cluster) {
+          descriptor.cluster = err ? null : cluster;
+          callback(null, descriptor);
+        });
+      } else if (!descriptor.region && (descriptor.platform === 'cloud_run' ||
+          descriptor.platform === 'cloud_functions')) {
+        // Serverless platforms report a region rather than a zone.
+        getCachedMetadataValue('/instance/region', function(err, region) {
+          // Of the form projects/<number>/regions/<region>.
+          descriptor.region = err ? null : region.split('/').pop();
+          callback(null, descriptor);
+        });
+      } else {
+        callback(null, descriptor);
+      }
+    });
   });
 }
 
@@ -293,5 +1889,14 @@ module.exports = {
   getInstanceId: getInstanceId,
   authorizedRequestFactory: authorizedRequestFactory,
   requestWithRetry: requestWithRetry,
-  getAuthClient: getAuthClient
+  getAuthClient: getAuthClient,
+  getMetadata: getMetadata,
+  setMetadataHost: setMetadataHost,
+  isAvailable: isAvailable,
+  watchMetadata: watchMetadata,
+  resolveProjectId: resolveProjectId,
+  detectEnvironment: detectEnvironment,
+  clearCache: clearCache,
+  setCacheTtl: setCacheTtl,
+  createAbortController: createAbortController
 };
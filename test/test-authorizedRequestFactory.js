@@ -152,6 +152,87 @@ describe('utils.authorizedRequestFactory', function() {
         }
       );
     });
+    it('should return a promise when no callback is provided', function () {
+      var utils = require('../lib/utils.js');
+      var config = {
+        keyFile: validCredentialsPath
+      };
+      var req = utils.authorizedRequestFactory(['https://www.googleapis.com/auth/cloud-platform'],
+        config);
+      var mock = nock('http://www.test.com')
+        .get('/test')
+        .once()
+        .reply(200, 'test');
+      return req('http://www.test.com/test').then(function (result) {
+        assert.ok(typeof result.response === 'object');
+        assert.deepEqual(result.body, 'test');
+        mock.done();
+      });
+    });
+    it('should accept a cancellation signal with the options', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(['https://www.googleapis.com/auth/cloud-platform'],
+        {keyFile: validCredentialsPath});
+      nock('http://www.test.com')
+        .get('/test')
+        .delay(500)
+        .reply(200, 'test');
+      var controller = utils.createAbortController();
+      var result = req({url: 'http://www.test.com/test',
+        signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 50);
+      return result.then(function () {
+        assert.fail('should have been cancelled');
+      }, function (err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        nock.cleanAll();
+      });
+    });
+    it('should not send requests cancelled while loading credentials',
+        function () {
+      var utils = require('../lib/utils.js');
+      var GoogleAuth = require('google-auth-library');
+      var loaded;
+      shimmer.wrap(GoogleAuth.prototype, 'fromStream', function(original) {
+        return function(stream, cb) {
+          loaded = new Promise(function(resolve) {
+            original.call(this, stream, function(err, client) {
+              setTimeout(function() {
+                cb(err, client);
+                resolve();
+              }, 100);
+            });
+          }.bind(this));
+        };
+      });
+      var req = utils.authorizedRequestFactory(['https://www.googleapis.com/auth/cloud-platform'],
+        {keyFile: validCredentialsPath});
+      var mock = nock('http://www.test.com')
+        .get('/test')
+        .reply(200, 'test');
+      var controller = utils.createAbortController();
+      var result = req({url: 'http://www.test.com/test',
+        signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 10);
+      return result.then(function () {
+        assert.fail('should have been cancelled');
+      }, function (err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        return loaded;
+      }).then(function () {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromStream');
+        // Give the request a chance to go out, had it not been cancelled.
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 50);
+        });
+      }).then(function () {
+        assert.ok(!mock.isDone(), 'the request should not have been sent');
+      });
+    });
     it('should not throw if the auth client is not ready yet', function (done) {
       var utils = require('../lib/utils.js');
       var GoogleAuth = require('google-auth-library');
@@ -218,4 +299,490 @@ describe('utils.authorizedRequestFactory', function() {
       request();
     });
   });
+
+  describe('auth lifecycle', function() {
+    var SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
+    function mockToken(expiresIn) {
+      return nock('https://accounts.google.com:443')
+        .post('/o/oauth2/token')
+        .reply(200, {
+          access_token: 'refreshed_token',
+          token_type: 'Bearer',
+          expires_in: expiresIn || 3600
+        });
+    }
+
+    // A client that getAuthClient keeps returning, like the cached client of
+    // the application default credentials. Its first token is rejected, and
+    // refreshing it does not extend its expiry.
+    function cachedClient(expiry) {
+      var client = {
+        credentials: {access_token: 'token_0', expiry_date: expiry},
+        refreshes: 0,
+        getAccessToken: function(callback) {
+          setImmediate(callback, null, client.credentials.access_token);
+        },
+        refreshAccessToken: function(callback) {
+          client.refreshes++;
+          setImmediate(function() {
+            client.credentials = {
+              access_token: 'token_' + client.refreshes,
+              expiry_date: expiry
+            };
+            callback(null, client.credentials);
+          });
+        },
+        request: function(options, callback) {
+          var token = client.credentials.access_token;
+          setImmediate(callback, null, token,
+            {statusCode: token === 'token_0' ? 401 : 200});
+        }
+      };
+      return client;
+    }
+
+    function returnClient(client, test) {
+      var utils = require('../lib/utils.js');
+      var GoogleAuth = require('google-auth-library');
+      var loads = {count: 0};
+      shimmer.wrap(GoogleAuth.prototype, 'fromStream', function() {
+        return function(stream, callback) {
+          loads.count++;
+          setImmediate(callback, null, client);
+        };
+      });
+      return Promise.resolve().then(function() {
+        return test(utils, loads);
+      }).then(function(result) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromStream');
+        return result;
+      }, function(err) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromStream');
+        throw err;
+      });
+    }
+
+    it('should load the auth client once for concurrent requests', function () {
+      var utils = require('../lib/utils.js');
+      var GoogleAuth = require('google-auth-library');
+      var loads = 0;
+      shimmer.wrap(GoogleAuth.prototype, 'fromStream', function(original) {
+        return function() {
+          loads++;
+          return original.apply(this, arguments);
+        };
+      });
+      var req = utils.authorizedRequestFactory(SCOPES,
+        {keyFile: validCredentialsPath});
+      var mock = nock('http://www.test.com')
+        .get('/test').times(3).reply(200, 'test');
+      return Promise.all([1, 2, 3].map(function() {
+        return req('http://www.test.com/test');
+      })).then(function (results) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromStream');
+        assert.strictEqual(loads, 1);
+        assert.deepEqual(results.map(function(result) {
+          return result.body;
+        }), ['test', 'test', 'test']);
+        mock.done();
+        authMock.done();
+      }, function (err) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromStream');
+        throw err;
+      });
+    });
+
+    it('should retry a failed load on the next request', function () {
+      var utils = require('../lib/utils.js');
+      var GoogleAuth = require('google-auth-library');
+      var loads = 0;
+      shimmer.wrap(GoogleAuth.prototype, 'fromJSON', function(original) {
+        return function(json, callback) {
+          loads++;
+          if (loads === 1) {
+            return setImmediate(callback, new Error('transient failure'));
+          }
+          return original.apply(this, arguments);
+        };
+      });
+      var req = utils.authorizedRequestFactory(SCOPES, {
+        credentials: require(path.join('..', validCredentialsPath)),
+        retry: {maxAttempts: 1}
+      });
+      nock('http://www.test.com').get('/test').reply(200, 'test');
+      var first = [req('http://www.test.com/test'),
+        req('http://www.test.com/test')];
+      return Promise.all(first.map(function(result) {
+        return result.then(function() {
+          assert.fail('should have failed');
+        }, function(err) {
+          assert.strictEqual(err.message, 'transient failure');
+        });
+      })).then(function () {
+        assert.strictEqual(loads, 1);
+        return req('http://www.test.com/test');
+      }).then(function (result) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromJSON');
+        assert.strictEqual(loads, 2);
+        assert.strictEqual(result.body, 'test');
+      }, function (err) {
+        shimmer.unwrap(GoogleAuth.prototype, 'fromJSON');
+        throw err;
+      });
+    });
+
+    it('should emit acquired and failed events', function () {
+      var utils = require('../lib/utils.js');
+      var acquired = [];
+      var failures = [];
+      var good = utils.authorizedRequestFactory(SCOPES,
+        {keyFile: validCredentialsPath});
+      var bad = utils.authorizedRequestFactory(SCOPES,
+        {credentials: {type: 'unknown'}, retry: {maxAttempts: 1}});
+      good.events.on('acquired', function(client) {
+        acquired.push(client);
+      });
+      bad.events.on('failed', function(err) {
+        failures.push(err);
+      });
+      nock('http://www.test.com').get('/test').reply(200, 'test');
+      return good('http://www.test.com/test').then(function () {
+        assert.strictEqual(acquired.length, 1);
+        return bad('http://www.test.com/test');
+      }).then(function () {
+        assert.fail('should have failed');
+      }, function (err) {
+        assert.deepEqual(failures, [err]);
+      });
+    });
+
+    it('should retry once with fresh credentials after a 401', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES,
+        {keyFile: validCredentialsPath});
+      var acquired = 0;
+      req.events.on('acquired', function() {
+        acquired++;
+      });
+      var refreshedToken = mockToken();
+      // google-auth-library retries 401s once itself, with the same key.
+      var mock = nock('http://www.test.com')
+        .get('/test').twice().reply(401, 'unauthorized')
+        .get('/test').reply(200, 'test');
+      return req('http://www.test.com/test').then(function (result) {
+        assert.strictEqual(result.body, 'test');
+        assert.strictEqual(acquired, 2);
+        mock.done();
+        refreshedToken.done();
+      });
+    });
+
+    it('should load credentials again after invalidate', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES,
+        {keyFile: validCredentialsPath});
+      var acquired = 0;
+      req.events.on('acquired', function() {
+        acquired++;
+      });
+      var refreshedToken = mockToken();
+      nock('http://www.test.com').get('/test').twice().reply(200, 'test');
+      return req('http://www.test.com/test').then(function () {
+        req.invalidate();
+        return req('http://www.test.com/test');
+      }).then(function () {
+        assert.strictEqual(acquired, 2);
+        refreshedToken.done();
+      });
+    });
+
+    it('should fetch a new token for a cached client after a 401', function () {
+      var client = cachedClient(Date.now() + 3600 * 1000);
+      return returnClient(client, function(utils, loads) {
+        var req = utils.authorizedRequestFactory(SCOPES,
+          {keyFile: validCredentialsPath});
+        return req('http://www.test.com/test').then(function (result) {
+          assert.strictEqual(result.body, 'token_1');
+          assert.strictEqual(loads.count, 2);
+          assert.strictEqual(client.refreshes, 1);
+        });
+      });
+    });
+
+    it('should load credentials once for concurrent 401s', function () {
+      var client = cachedClient(Date.now() + 3600 * 1000);
+      return returnClient(client, function(utils, loads) {
+        var req = utils.authorizedRequestFactory(SCOPES,
+          {keyFile: validCredentialsPath});
+        return Promise.all([1, 2, 3].map(function() {
+          return req('http://www.test.com/test');
+        })).then(function (results) {
+          assert.deepEqual(results.map(function(result) {
+            return result.body;
+          }), ['token_1', 'token_1', 'token_1']);
+          assert.strictEqual(loads.count, 2);
+          assert.strictEqual(client.refreshes, 1);
+        });
+      });
+    });
+
+    it('should back off when a refresh does not extend the expiry',
+        function () {
+      var client = cachedClient(Date.now() + 3600 * 1000);
+      client.credentials.access_token = 'token_valid';
+      return returnClient(client, function(utils, loads) {
+        var req = utils.authorizedRequestFactory(SCOPES, {
+          keyFile: validCredentialsPath,
+          refreshSkew: 3600 * 1000
+        });
+        var failures = [];
+        req.events.on('failed', function(err) {
+          failures.push(err);
+        });
+        return req('http://www.test.com/test').then(function () {
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 50);
+          });
+        }).then(function () {
+          req.invalidate();
+          assert.strictEqual(loads.count, 1);
+          assert.strictEqual(client.refreshes, 1);
+          assert.strictEqual(failures.length, 1);
+          assert.ok(/expires no later/.test(failures[0].message));
+        });
+      });
+    });
+
+    it('should refresh the token before it expires', function (done) {
+      var utils = require('../lib/utils.js');
+      // Refresh 50ms after the token is issued.
+      var req = utils.authorizedRequestFactory(SCOPES, {
+        keyFile: validCredentialsPath,
+        refreshSkew: 3600 * 1000 - 50
+      });
+      // Expiry dates have a resolution of seconds.
+      var refreshedToken = mockToken(7200);
+      req.events.on('refreshed', function(expiryDate) {
+        assert.ok(expiryDate > Date.now());
+        refreshedToken.done();
+        req.invalidate();
+        done();
+      });
+      nock('http://www.test.com').get('/test').reply(200, 'test');
+      req('http://www.test.com/test', function (err) {
+        assert.ok(!err);
+      });
+    });
+  });
+
+  describe('credential types', function() {
+    var SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
+    var TARGET = 'target@project.iam.gserviceaccount.com';
+    var IAM_PATH = '/v1/projects/-/serviceAccounts/' +
+      encodeURIComponent(TARGET) + ':generateAccessToken';
+
+    function mockBearer(token) {
+      return nock('http://www.test.com', {
+        reqheaders: {authorization: 'Bearer ' + token}
+      }).get('/test').reply(200, 'test');
+    }
+
+    it('should send the API key with requests', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES, {apiKey: 'stub_key'});
+      var mock = nock('http://www.test.com', {
+        reqheaders: {'x-goog-api-key': 'stub_key'},
+        badheaders: ['authorization']
+      }).get('/test').reply(200, 'test');
+      return req('http://www.test.com/test').then(function (result) {
+        assert.strictEqual(result.body, 'test');
+        mock.done();
+      });
+    });
+
+    it('should use a provided access token', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES,
+        {accessToken: 'provided_token'});
+      var mock = mockBearer('provided_token');
+      return req('http://www.test.com/test').then(function () {
+        mock.done();
+      });
+    });
+
+    it('should call a token supplier for every request', function () {
+      var utils = require('../lib/utils.js');
+      var calls = 0;
+      var req = utils.authorizedRequestFactory(SCOPES, {
+        accessToken: function(callback) {
+          calls++;
+          callback(null, 'supplied_token_' + calls);
+        }
+      });
+      var tokens = [];
+      var mock = nock('http://www.test.com', {
+        reqheaders: {authorization: function(value) {
+          tokens.push(value);
+          return /^Bearer supplied_token_\d+$/.test(value);
+        }}
+      }).get('/test').times(2).reply(200, 'test');
+      return req('http://www.test.com/test').then(function () {
+        return req('http://www.test.com/test');
+      }).then(function () {
+        assert.strictEqual(tokens.length, 2);
+        assert.notStrictEqual(tokens[0], tokens[1]);
+        mock.done();
+      });
+    });
+
+    it('should report errors of a Promise token supplier', function () {
+      var utils = require('../lib/utils.js');
+      return utils.getAuthClient(SCOPES, {
+        accessToken: function() {
+          return Promise.reject(new Error('no token'));
+        }
+      }).then(function (client) {
+        return new Promise(function(resolve) {
+          client.getAccessToken(function(err) {
+            assert.strictEqual(err.message, 'no token');
+            resolve();
+          });
+        });
+      });
+    });
+
+    it('should impersonate a service account', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES, {
+        keyFile: validCredentialsPath,
+        impersonate: {targetPrincipal: TARGET, lifetime: 600}
+      });
+      var iam = nock('https://iamcredentials.googleapis.com', {
+        reqheaders: {authorization: 'Bearer stub_token'}
+      }).post(IAM_PATH, {scope: SCOPES, lifetime: '600s'})
+        .reply(200, {
+          accessToken: 'impersonated_token',
+          expireTime: new Date(Date.now() + 600 * 1000).toISOString()
+        });
+      var first = mockBearer('impersonated_token');
+      var second = mockBearer('impersonated_token');
+      return req('http://www.test.com/test').then(function () {
+        return req('http://www.test.com/test');
+      }).then(function () {
+        authMock.done();
+        iam.done();
+        first.done();
+        second.done();
+      });
+    });
+
+    it('should report impersonation failures', function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES, {
+        keyFile: validCredentialsPath,
+        impersonate: {targetPrincipal: TARGET},
+        retry: {maxAttempts: 1}
+      });
+      // The auth client retries 403 responses once itself.
+      nock('https://iamcredentials.googleapis.com').post(IAM_PATH).times(2)
+        .reply(403, {error: {message: 'Permission denied'}});
+      return req('http://www.test.com/test').then(function () {
+        assert.fail('should have failed');
+      }, function (err) {
+        assert.strictEqual(err.message, 'Permission denied');
+      });
+    });
+
+    it('should exchange a file subject token for an external account',
+        function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES,
+        {keyFile: './test/fixtures/external_account.json'});
+      var sts = nock('https://sts.googleapis.com').post('/v1/token',
+        function(body) {
+          return body.subject_token === 'stub_subject_token' &&
+            body.scope === SCOPES[0] &&
+            body.grant_type ===
+              'urn:ietf:params:oauth:grant-type:token-exchange';
+        }).reply(200, {access_token: 'federated_token', expires_in: 3600});
+      var mock = mockBearer('federated_token');
+      return req('http://www.test.com/test').then(function () {
+        sts.done();
+        mock.done();
+      });
+    });
+
+    it('should read url subject tokens and impersonate for external accounts',
+        function () {
+      var utils = require('../lib/utils.js');
+      var req = utils.authorizedRequestFactory(SCOPES, {credentials: {
+        type: 'external_account',
+        audience: 'stub_audience',
+        subject_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+        service_account_impersonation_url:
+          'https://iamcredentials.googleapis.com' + IAM_PATH,
+        credential_source: {
+          url: 'http://token.test.com/token',
+          headers: {'Metadata': 'True'},
+          format: {type: 'json', subject_token_field_name: 'value'}
+        }
+      }});
+      var source = nock('http://token.test.com', {
+        reqheaders: {metadata: 'True'}
+      }).get('/token').reply(200, {value: 'url_subject_token'});
+      var sts = nock('https://sts.googleapis.com').post('/v1/token',
+        function(body) {
+          return body.subject_token === 'url_subject_token' &&
+            body.audience === 'stub_audience';
+        }).reply(200, {access_token: 'federated_token', expires_in: 3600});
+      var iam = nock('https://iamcredentials.googleapis.com', {
+        reqheaders: {authorization: 'Bearer federated_token'}
+      }).post(IAM_PATH).reply(200, {
+        accessToken: 'impersonated_token',
+        expireTime: new Date(Date.now() + 3600 * 1000).toISOString()
+      });
+      var mock = mockBearer('impersonated_token');
+      return req('http://www.test.com/test').then(function () {
+        source.done();
+        sts.done();
+        iam.done();
+        mock.done();
+      });
+    });
+
+    it('should default the scopes of external accounts', function () {
+      var utils = require('../lib/utils.js');
+      var sts = nock('https://sts.googleapis.com').post('/v1/token',
+        function(body) {
+          return body.scope === SCOPES[0];
+        }).reply(200, {access_token: 'federated_token', expires_in: 3600});
+      return utils.getAuthClient(null,
+          {keyFile: './test/fixtures/external_account.json'})
+        .then(function (client) {
+          return new Promise(function(resolve, reject) {
+            client.getAccessToken(function(err, token) {
+              return err ? reject(err) : resolve(token);
+            });
+          });
+        }).then(function (token) {
+          assert.strictEqual(token, 'federated_token');
+          sts.done();
+        });
+    });
+
+    it('should fail for unsupported credential sources', function () {
+      var utils = require('../lib/utils.js');
+      return utils.getAuthClient(SCOPES, {credentials: {
+        type: 'external_account',
+        credential_source: {environment_id: 'aws1'}
+      }}).then(function (client) {
+        return new Promise(function(resolve) {
+          client.getAccessToken(function(err) {
+            assert.ok(/Unsupported credential_source/.test(err.message));
+            resolve();
+          });
+        });
+      });
+    });
+  });
 });
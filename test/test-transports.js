@@ -0,0 +1,326 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var os = require('os');
+var fs = require('fs');
+var fsMock = require('mock-fs');
+var zlib = require('zlib');
+var assert = require('assert');
+var transports = require('../lib/transports.js');
+var MOCK_PATH = os.tmpdir() + '/transport_log.txt';
+
+describe('transports', function() {
+  describe('console', function() {
+    it('should write to stderr', function() {
+      var written = [];
+      var orig = console._stderr.write;
+      console._stderr.write = function(chunk) {
+        written.push(chunk);
+      };
+      try {
+        transports.console({stream: 'stderr'}).write('a line');
+      } finally {
+        console._stderr.write = orig;
+      }
+      assert.deepEqual(written, ['a line\n']);
+    });
+
+    it('should reject unknown streams', function() {
+      assert.throws(function() {
+        transports.console({stream: 'stdin'});
+      }, /Unknown console stream/);
+    });
+  });
+
+  describe('file', function() {
+    beforeEach(function() {
+      var mockTree = {};
+      mockTree[os.tmpdir()] = {};
+      fsMock(mockTree, {createTmp: false});
+    });
+    afterEach(function() {
+      fsMock.restore();
+    });
+
+    it('should write lines up to the limit', function() {
+      var transport = transports.file({path: MOCK_PATH, limit: 2});
+      transport.write('a');
+      transport.write('b');
+      transport.write('c');
+      return transport.flush().then(function() {
+        assert.strictEqual(fs.readFileSync(MOCK_PATH).toString(), 'a\nb\n');
+      });
+    });
+
+    it('should write buffered lines synchronously with flushSync', function() {
+      var transport = transports.file({path: MOCK_PATH});
+      transport.write('a');
+      transport.write('b');
+      transport.flushSync();
+      assert.strictEqual(fs.readFileSync(MOCK_PATH).toString(), 'a\nb\n');
+      return transport.flush();
+    });
+
+    it('should drop lines when the buffer is full', function() {
+      // 'a' is written right away, 'b' fills the buffer and 'c' is dropped.
+      var transport = transports.file({path: MOCK_PATH, maxBuffer: 2});
+      transport.write('a');
+      transport.write('b');
+      transport.write('c');
+      return transport.flush().then(function() {
+        transport.write('d');
+        return transport.flush();
+      }).then(function() {
+        assert.strictEqual(fs.readFileSync(MOCK_PATH).toString(),
+          'a\nb\nDropped 1 log lines: buffer full\nd\n');
+      });
+    });
+
+    it('should not write after close', function() {
+      var transport = transports.file({path: MOCK_PATH});
+      transport.write('a');
+      return transport.close().then(function() {
+        transport.write('b');
+        return transport.flush();
+      }).then(function() {
+        assert.strictEqual(fs.readFileSync(MOCK_PATH).toString(), 'a\n');
+      });
+    });
+
+    it('should require a path', function() {
+      assert.throws(function() {
+        transports.file({});
+      }, /path is required/);
+    });
+  });
+
+  describe('rotating file', function() {
+    beforeEach(function() {
+      var mockTree = {};
+      mockTree[os.tmpdir()] = {};
+      fsMock(mockTree, {createTmp: false});
+    });
+    afterEach(function() {
+      fsMock.restore();
+    });
+
+    function read(path) {
+      return fs.readFileSync(path).toString();
+    }
+
+    it('should rotate once the file would exceed maxSize', function() {
+      var transport = transports.file({path: MOCK_PATH, maxSize: 4});
+      transport.write('a');
+      transport.write('b');
+      transport.write('c');
+      transport.write('d');
+      transport.write('e');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'e\n');
+        assert.strictEqual(read(MOCK_PATH + '.1'), 'c\nd\n');
+        assert.strictEqual(read(MOCK_PATH + '.2'), 'a\nb\n');
+      });
+    });
+
+    it('should not rotate in flushSync while a write is in flight',
+        function() {
+      var transport = transports.file({path: MOCK_PATH, maxSize: 4});
+      transport.write('a');
+      transport.write('b');
+      transport.write('c');
+      transport.flushSync();
+      assert.ok(!fs.existsSync(MOCK_PATH + '.1'));
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'a\nb\nc\n');
+        transport.write('d');
+        return transport.flush();
+      }).then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'd\n');
+        assert.strictEqual(read(MOCK_PATH + '.1'), 'a\nb\nc\n');
+      });
+    });
+
+    it('should only keep maxFiles rotated files', function() {
+      var transport = transports.file({
+        path: MOCK_PATH,
+        maxSize: 2,
+        maxFiles: 1
+      });
+      ['a', 'b', 'c'].forEach(transport.write);
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'c\n');
+        assert.strictEqual(read(MOCK_PATH + '.1'), 'b\n');
+        assert.ok(!fs.existsSync(MOCK_PATH + '.2'));
+      });
+    });
+
+    it('should rotate once the file is older than maxAge', function(done) {
+      var transport = transports.file({path: MOCK_PATH, maxAge: 10});
+      transport.write('a');
+      setTimeout(function() {
+        transport.write('b');
+        transport.flush().then(function() {
+          assert.strictEqual(read(MOCK_PATH), 'b\n');
+          assert.strictEqual(read(MOCK_PATH + '.1'), 'a\n');
+        }).then(done, done);
+      }, 20);
+    });
+
+    it('should gzip rotated files', function() {
+      var transport = transports.file({
+        path: MOCK_PATH,
+        maxSize: 2,
+        gzip: true
+      });
+      transport.write('a');
+      transport.write('b');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'b\n');
+        assert.strictEqual(
+          zlib.gunzipSync(fs.readFileSync(MOCK_PATH + '.1.gz')).toString(),
+          'a\n');
+        assert.ok(!fs.existsSync(MOCK_PATH + '.1'));
+      });
+    });
+
+    it('should append to an existing file when rotating', function() {
+      fs.writeFileSync(MOCK_PATH, 'before restart\n');
+      var transport = transports.file({path: MOCK_PATH, maxSize: 1024});
+      transport.write('after restart');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH),
+          'before restart\nafter restart\n');
+      });
+    });
+
+    it('should count the age of an appended file from its creation',
+        function() {
+      var hourAgo = new Date(Date.now() - 3600 * 1000);
+      var mockTree = {};
+      mockTree[MOCK_PATH] = fsMock.file({
+        content: 'before restart\n',
+        birthtime: hourAgo,
+        mtime: hourAgo
+      });
+      fsMock.restore();
+      fsMock(mockTree, {createTmp: false});
+      var transport = transports.file({path: MOCK_PATH, maxAge: 60 * 1000});
+      transport.write('after restart');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'after restart\n');
+        assert.strictEqual(read(MOCK_PATH + '.1'), 'before restart\n');
+      });
+    });
+
+    it('should count existing content towards maxSize', function() {
+      fs.writeFileSync(MOCK_PATH, 'before\n');
+      var transport = transports.file({path: MOCK_PATH, maxSize: 8});
+      transport.write('after');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'after\n');
+        assert.strictEqual(read(MOCK_PATH + '.1'), 'before\n');
+      });
+    });
+
+    it('should truncate without rotation unless append is set', function() {
+      fs.writeFileSync(MOCK_PATH, 'before restart\n');
+      var transport = transports.file({path: MOCK_PATH});
+      transport.write('after restart');
+      return transport.flush().then(function() {
+        assert.strictEqual(read(MOCK_PATH), 'after restart\n');
+      });
+    });
+  });
+
+  describe('memory', function() {
+    it('should keep the most recent lines', function() {
+      var transport = transports.memory({size: 2});
+      transport.write('a');
+      transport.write('b');
+      transport.write('c');
+      assert.deepEqual(transport.lines(), ['b', 'c']);
+      transport.clear();
+      assert.deepEqual(transport.lines(), []);
+    });
+  });
+
+  describe('http', function() {
+    it('should send batches of lines', function() {
+      var sent = [];
+      var transport = transports.http({
+        url: 'http://logs.example.com/ingest',
+        batchSize: 2,
+        request: function(options, callback) {
+          sent.push(options);
+          callback(null, {statusCode: 200});
+        }
+      });
+      transport.write('{"a":1}');
+      assert.strictEqual(sent.length, 0);
+      transport.write('{"a":2}');
+      assert.strictEqual(sent.length, 1);
+      assert.strictEqual(sent[0].method, 'POST');
+      assert.strictEqual(sent[0].body, '{"a":1}\n{"a":2}\n');
+      assert.strictEqual(sent[0].headers['Content-Type'],
+        'application/x-ndjson');
+      assert.strictEqual(transport.format, 'json');
+    });
+
+    it('should report failures to onError', function() {
+      var errors = [];
+      var transport = transports.http({
+        url: 'http://logs.example.com/ingest',
+        onError: function(err) {
+          errors.push(err);
+        },
+        request: function(options, callback) {
+          callback(null, {statusCode: 500});
+        }
+      });
+      transport.write('a');
+      assert.strictEqual(errors.length, 1);
+      assert.ok(/status 500/.test(errors[0].message));
+    });
+
+    it('should send the partial batch on flush', function() {
+      var sent = [];
+      var transport = transports.http({
+        url: 'http://logs.example.com/ingest',
+        batchSize: 10,
+        request: function(options, callback) {
+          sent.push(options.body);
+          setImmediate(callback, null, {statusCode: 200});
+        }
+      });
+      transport.write('a');
+      transport.write('b');
+      return transport.close().then(function() {
+        assert.deepEqual(sent, ['a\nb\n']);
+        transport.write('c');
+        return transport.flush();
+      }).then(function() {
+        assert.strictEqual(sent.length, 1);
+      });
+    });
+
+    it('should require a url', function() {
+      assert.throws(function() {
+        transports.http({});
+      }, /url is required/);
+    });
+  });
+});
@@ -17,6 +17,7 @@
 var proxyquire = require('proxyquire').noPreserveCache();
 var nock = require('nock');
 var assert = require('assert');
+var http = require('http');
 var path = require('path');
 
 function GoogleAuth() {}
@@ -42,7 +43,25 @@ var utils = proxyquire('../lib/utils.js', {
 
 nock.disableNetConnect();
 
+/**
+ * Replaces mocha's uncaughtException handlers by `handler` until the next
+ * uncaught exception, for tests of callbacks that throw.
+ */
+function onNextUncaught(handler) {
+  var listeners = process.listeners('uncaughtException');
+  process.removeAllListeners('uncaughtException');
+  process.once('uncaughtException', function(err) {
+    listeners.forEach(function(listener) {
+      process.on('uncaughtException', listener);
+    });
+    handler(err);
+  });
+}
+
 describe('utils', function() {
+  beforeEach(function() {
+    utils.clearCache();
+  });
   after(function() {
     nock.enableNetConnect();
   });
@@ -66,7 +85,8 @@ describe('utils', function() {
       function(done) {
         var scope = nock('http://metadata.google.internal')
                       .get('/computeMetadata/v1/project/numeric-project-id')
-                      .reply(500, {error: true});
+                      .times(5)
+                      .reply(500, {error: true}, {'Retry-After': '0'});
         utils.getProjectNumber(function(err, project) {
           assert.strictEqual(typeof err, 'object');
           assert.ok(err instanceof Error);
@@ -128,7 +148,8 @@ describe('utils', function() {
       function(done) {
         var scope = nock('http://metadata.google.internal')
                       .get('/computeMetadata/v1/project/project-id')
-                      .reply(500, {error: true});
+                      .times(5)
+                      .reply(500, {error: true}, {'Retry-After': '0'});
         utils.getProjectId(function(err, projectId) {
           assert.strictEqual(typeof err, 'object');
           assert.ok(err instanceof Error);
@@ -171,6 +192,123 @@ describe('utils', function() {
     });
   });
 
+  describe('resolveProjectId', function() {
+    var credentials = require('./fixtures/stub_cert.json');
+    var keyFilePath = path.join('test', 'fixtures', 'stub_cert.json');
+    var ENV_VARS = ['GCLOUD_PROJECT', 'GOOGLE_CLOUD_PROJECT', 'CLOUDSDK_CONFIG'];
+    var oldEnv;
+
+    beforeEach(function() {
+      oldEnv = {};
+      ENV_VARS.forEach(function(name) {
+        oldEnv[name] = process.env[name];
+        delete process.env[name];
+      });
+      // An empty directory, so the real gcloud configuration is not used.
+      process.env.CLOUDSDK_CONFIG = path.join(__dirname, 'fixtures', 'none');
+    });
+    afterEach(function() {
+      ENV_VARS.forEach(function(name) {
+        if (oldEnv[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = oldEnv[name];
+        }
+      });
+    });
+
+    it('should prefer an explicit config value', function() {
+      process.env.GCLOUD_PROJECT = 'env-project';
+      return utils.resolveProjectId({projectId: 'config-project'})
+        .then(function(result) {
+          assert.deepEqual(result,
+            {projectId: 'config-project', source: 'config'});
+        });
+    });
+
+    it('should use GCLOUD_PROJECT before GOOGLE_CLOUD_PROJECT', function() {
+      process.env.GCLOUD_PROJECT = 'gcloud-env-project';
+      process.env.GOOGLE_CLOUD_PROJECT = 'google-env-project';
+      return utils.resolveProjectId().then(function(result) {
+        assert.deepEqual(result,
+          {projectId: 'gcloud-env-project', source: 'GCLOUD_PROJECT'});
+      });
+    });
+
+    it('should use GOOGLE_CLOUD_PROJECT', function(done) {
+      process.env.GOOGLE_CLOUD_PROJECT = 'google-env-project';
+      utils.resolveProjectId(function(err, result) {
+        assert.ok(!err);
+        assert.deepEqual(result,
+          {projectId: 'google-env-project', source: 'GOOGLE_CLOUD_PROJECT'});
+        done();
+      });
+    });
+
+    it('should read project_id from the keyFile', function() {
+      return utils.resolveProjectId({keyFile: keyFilePath})
+        .then(function(result) {
+          assert.deepEqual(result, {projectId: 'stub', source: 'keyFile'});
+        });
+    });
+
+    it('should call back once when the callback throws', function(done) {
+      process.env.CLOUDSDK_CONFIG = path.join(__dirname, 'fixtures', 'gcloud');
+      var calls = 0;
+      onNextUncaught(function(err) {
+        assert.strictEqual(err.message, 'callback failure');
+        setTimeout(function() {
+          assert.strictEqual(calls, 1);
+          done();
+        }, 20);
+      });
+      utils.resolveProjectId({keyFile: keyFilePath}, function() {
+        calls++;
+        throw new Error('callback failure');
+      });
+    });
+
+    it('should read project_id from the credentials', function() {
+      return utils.resolveProjectId({credentials: credentials})
+        .then(function(result) {
+          assert.deepEqual(result, {projectId: 'stub', source: 'credentials'});
+        });
+    });
+
+    it('should read the active gcloud configuration', function() {
+      process.env.CLOUDSDK_CONFIG = path.join(__dirname, 'fixtures', 'gcloud');
+      return utils.resolveProjectId({keyFile: './not-a-file.json'})
+        .then(function(result) {
+          assert.deepEqual(result,
+            {projectId: 'gcloud-stub-project', source: 'gcloud'});
+        });
+    });
+
+    it('should fall back to the metadata service', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/project/project-id')
+                    .reply(200, 'a-stub-project-id');
+      return utils.resolveProjectId().then(function(result) {
+        assert.deepEqual(result,
+          {projectId: 'a-stub-project-id', source: 'metadata'});
+        scope.done();
+      });
+    });
+
+    it('should report metadata errors when nothing else is found',
+      function() {
+        var scope = nock('http://metadata.google.internal')
+          .get('/computeMetadata/v1/project/project-id')
+          .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+        return utils.resolveProjectId().then(function() {
+          assert.fail('should have rejected');
+        }, function(err) {
+          assert.ok(/GCLOUD_PROJECT/.test(err.message));
+          scope.done();
+        });
+      });
+  });
+
   describe('authorizedRequestFactory', function() {
     it('should return a function', function() {
       var result = utils.authorizedRequestFactory(['fake-scope']);
@@ -291,6 +429,1101 @@ describe('utils', function() {
     });
   });
 
+  describe('requestWithRetry with a retry policy', function() {
+
+    it('should respect maxAttempts', function(done) {
+      var attempt = 0;
+      var request = function(options, callback) {
+        attempt += 1;
+        callback({code: 503});
+      };
+      utils.requestWithRetry(request, {}, {maxAttempts: 3, baseDelay: 1},
+        function(err, response, body) {
+          assert.strictEqual(attempt, 3);
+          assert.strictEqual(err.code, 503);
+          done();
+        });
+    });
+
+    it('should use a custom shouldRetry predicate', function(done) {
+      var attempt = 0;
+      var seen = [];
+      var request = function(options, callback) {
+        attempt += 1;
+        if (attempt === 1) {
+          callback({code: 'ECONNRESET'});
+        } else if (attempt === 2) {
+          callback(null, {statusCode: 502}, 'bad gateway');
+        } else {
+          callback(null, {statusCode: 200}, 'body');
+        }
+      };
+      var policy = {
+        baseDelay: 1,
+        shouldRetry: function(err, response) {
+          seen.push([err, response]);
+          return (err && err.code === 'ECONNRESET') ||
+            (response && response.statusCode === 502);
+        }
+      };
+      utils.requestWithRetry(request, {}, policy,
+        function(err, response, body) {
+          assert.ok(!err);
+          assert.strictEqual(body, 'body');
+          assert.strictEqual(attempt, 3);
+          assert.strictEqual(seen.length, 3);
+          assert.strictEqual(seen[1][1].statusCode, 502);
+          done();
+        });
+    });
+
+    it('should stop retrying once the deadline would be exceeded',
+      function(done) {
+        var attempt = 0;
+        var start = Date.now();
+        var request = function(options, callback) {
+          attempt += 1;
+          callback({code: 500});
+        };
+        utils.requestWithRetry(request, {},
+          {baseDelay: 50, deadline: 200},
+          function(err, response, body) {
+            // delays are 50, 100, 200; the third one does not fit.
+            assert.strictEqual(attempt, 3);
+            assert.ok(Date.now() - start < 200);
+            done();
+          });
+      });
+
+    it('should cap delays at maxDelay', function(done) {
+      var attempt = 0;
+      var start = Date.now();
+      var request = function(options, callback) {
+        attempt += 1;
+        callback({code: 429});
+      };
+      utils.requestWithRetry(request, {},
+        {maxAttempts: 4, baseDelay: 20, maxDelay: 20},
+        function(err, response, body) {
+          assert.strictEqual(attempt, 4);
+          assert.ok(Date.now() - start < 500);
+          done();
+        });
+    });
+
+    ['full', 'equal', 'decorrelated'].forEach(function(jitter) {
+      it('should retry with ' + jitter + ' jitter', function(done) {
+        var attempt = 0;
+        var request = function(options, callback) {
+          attempt += 1;
+          callback(attempt < 3 ? {code: 500} : null);
+        };
+        utils.requestWithRetry(request, {},
+          {baseDelay: 5, maxDelay: 20, jitter: jitter},
+          function(err, response, body) {
+            assert.ok(!err);
+            assert.strictEqual(attempt, 3);
+            done();
+          });
+      });
+    });
+
+    it('should throw on an unknown jitter strategy', function() {
+      assert.throws(function() {
+        utils.requestWithRetry(function() {}, {}, {jitter: 'bogus'},
+          function() {});
+      }, /Unknown retry jitter strategy/);
+    });
+  });
+
+  describe('requestWithRetry with http responses', function() {
+
+    it('should retry on transient response status codes', function(done) {
+      var attempt = 0;
+      var request = function(options, callback) {
+        attempt += 1;
+        if (attempt === 1) {
+          callback(null, {statusCode: 503, headers: {}}, 'unavailable');
+        } else {
+          callback(null, {statusCode: 200, headers: {}}, 'body');
+        }
+      };
+      utils.requestWithRetry(request, {}, {baseDelay: 1},
+        function(err, response, body) {
+          assert.ok(!err);
+          assert.strictEqual(attempt, 2);
+          assert.strictEqual(body, 'body');
+          done();
+        });
+    });
+
+    it('should retry a 503 from the metadata service', function(done) {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/id')
+                    .reply(503, 'unavailable', {'Retry-After': '0'})
+                    .get('/computeMetadata/v1/instance/id')
+                    .reply(200, 'an-instance-id');
+      utils.getInstanceId(function(err, id) {
+        assert.ok(!err);
+        assert.strictEqual(id, 'an-instance-id');
+        scope.done();
+        done();
+      });
+    });
+
+    it('should wait for the number of seconds in Retry-After',
+      function(done) {
+        var attempt = 0;
+        var start = Date.now();
+        var request = function(options, callback) {
+          attempt += 1;
+          if (attempt === 1) {
+            callback(null, {statusCode: 429, headers: {'retry-after': '1'}});
+          } else {
+            callback(null, {statusCode: 200, headers: {}}, 'body');
+          }
+        };
+        // baseDelay would retry almost immediately without the header.
+        utils.requestWithRetry(request, {}, {baseDelay: 1},
+          function(err, response, body) {
+            assert.strictEqual(attempt, 2);
+            assert.ok(Date.now() - start >= 950);
+            done();
+          });
+      });
+
+    it('should wait until the HTTP-date in Retry-After', function(done) {
+      var attempt = 0;
+      var start = Date.now();
+      var request = function(options, callback) {
+        attempt += 1;
+        if (attempt === 1) {
+          var when = new Date(Date.now() + 2000).toUTCString();
+          callback(null, {statusCode: 503, headers: {'retry-after': when}});
+        } else {
+          callback(null, {statusCode: 200, headers: {}}, 'body');
+        }
+      };
+      utils.requestWithRetry(request, {}, {baseDelay: 1},
+        function(err, response, body) {
+          assert.strictEqual(attempt, 2);
+          // HTTP-dates have a granularity of one second.
+          assert.ok(Date.now() - start >= 900);
+          done();
+        });
+    });
+
+    it('should fall back to backoff on an invalid Retry-After',
+      function(done) {
+        var attempt = 0;
+        var request = function(options, callback) {
+          attempt += 1;
+          callback(null, {statusCode: 500, headers: {'retry-after': 'soon'}});
+        };
+        utils.requestWithRetry(request, {}, {baseDelay: 1, maxAttempts: 3},
+          function(err, response, body) {
+            assert.strictEqual(attempt, 3);
+            assert.strictEqual(response.statusCode, 500);
+            done();
+          });
+      });
+
+    it('should not wait past the deadline for Retry-After', function(done) {
+      var attempt = 0;
+      var start = Date.now();
+      var request = function(options, callback) {
+        attempt += 1;
+        callback(null, {statusCode: 503, headers: {'retry-after': '120'}});
+      };
+      utils.requestWithRetry(request, {}, {deadline: 1000},
+        function(err, response, body) {
+          assert.strictEqual(attempt, 1);
+          assert.ok(Date.now() - start < 1000);
+          done();
+        });
+    });
+  });
+
+  describe('requestWithRetry timeouts and cancellation', function() {
+    // A request function that never calls back, recording aborts.
+    function hangingRequest(calls) {
+      return function(options, callback) {
+        var req = {aborted: false, abort: function() { req.aborted = true; }};
+        calls.push(req);
+        return req;
+      };
+    }
+
+    it('should retry attempts that time out', function(done) {
+      var calls = [];
+      utils.requestWithRetry(hangingRequest(calls), {},
+        {maxAttempts: 2, baseDelay: 1, timeout: 10}, function(err) {
+          assert.strictEqual(err.code, 'ETIMEDOUT');
+          assert.ok(/attempt timed out after 10ms/.test(err.message));
+          assert.strictEqual(calls.length, 2);
+          assert.ok(calls[0].aborted && calls[1].aborted);
+          done();
+        });
+    });
+
+    it('should give up after the total timeout', function(done) {
+      var attempt = 0;
+      var request = function(options, callback) {
+        attempt++;
+        callback({code: 503});
+      };
+      utils.requestWithRetry(request, {}, {baseDelay: 1000, totalTimeout: 20},
+        function(err) {
+          assert.strictEqual(err.code, 503);
+          assert.strictEqual(attempt, 1);
+          done();
+        });
+    });
+
+    it('should abort the in-flight request after the total timeout',
+        function(done) {
+      var calls = [];
+      utils.requestWithRetry(hangingRequest(calls), {}, {totalTimeout: 10},
+        function(err) {
+          assert.strictEqual(err.code, 'ETIMEDOUT');
+          assert.ok(calls[0].aborted);
+          done();
+        });
+    });
+
+    it('should cancel the in-flight request', function(done) {
+      var calls = [];
+      var controller = utils.createAbortController();
+      utils.requestWithRetry(hangingRequest(calls), {},
+        {signal: controller.signal}, function(err) {
+          assert.strictEqual(err.code, 'ECANCELED');
+          assert.ok(calls[0].aborted);
+          done();
+        });
+      controller.abort();
+    });
+
+    it('should cancel scheduled retries', function() {
+      var attempt = 0;
+      var controller = utils.createAbortController();
+      var request = function(options, callback) {
+        attempt++;
+        callback({code: 503});
+        setImmediate(function() {
+          controller.abort();
+        });
+      };
+      return utils.requestWithRetry(request, {}, {
+        baseDelay: 60 * 1000,
+        signal: controller.signal
+      }).then(function() {
+        assert.fail('should have been cancelled');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        assert.strictEqual(attempt, 1);
+      });
+    });
+
+    it('should not start when already cancelled', function(done) {
+      var controller = utils.createAbortController();
+      controller.abort();
+      utils.requestWithRetry(function() {
+        assert.fail('should not have been called');
+      }, {}, {signal: controller.signal}, function(err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        done();
+      });
+    });
+
+    it('should ignore late responses', function(done) {
+      var late;
+      var calls = 0;
+      utils.requestWithRetry(function(options, callback) {
+        late = callback;
+      }, {}, {maxAttempts: 1, timeout: 10}, function(err) {
+        calls++;
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        late(null, {statusCode: 200}, 'late');
+        setImmediate(function() {
+          assert.strictEqual(calls, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('promise api', function() {
+
+    it('should resolve getProjectNumber without a callback', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/project/numeric-project-id')
+                    .reply(200, '567');
+      return utils.getProjectNumber().then(function(project) {
+        assert.strictEqual(project, '567');
+        scope.done();
+      });
+    });
+
+    it('should resolve getProjectId with headers only', function() {
+      var scope =
+        nock('http://metadata.google.internal', {
+            reqheaders: {'Flux': 'Capacitor'}
+          })
+          .get('/computeMetadata/v1/project/project-id')
+          .reply(200, 'a-stub-project-id');
+      return utils.getProjectId({'Flux': 'Capacitor'}).then(function(id) {
+        assert.strictEqual(id, 'a-stub-project-id');
+        scope.done();
+      });
+    });
+
+    it('should reject getProjectId on errors', function() {
+      var scope = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/project/project-id')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      return utils.getProjectId().then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.ok(err instanceof Error);
+        assert.ok(/GCLOUD_PROJECT/.test(err.message));
+        scope.done();
+      });
+    });
+
+    it('should resolve getHostname and getInstanceId', function() {
+      var scope = nock('http://metadata.google.internal/computeMetadata/v1')
+        .get('/instance/hostname')
+        .reply(200, 'a-stub-hostname')
+        .get('/instance/id')
+        .reply(200, 'a-stub-instance-id');
+      return Promise.all([utils.getHostname(), utils.getInstanceId()])
+        .then(function(values) {
+          assert.deepEqual(values, ['a-stub-hostname', 'a-stub-instance-id']);
+          scope.done();
+        });
+    });
+
+    it('should resolve getAuthClient', function() {
+      return utils.getAuthClient([]).then(function(client) {
+        assert.strictEqual(client, 'Awesome Auth Client');
+      });
+    });
+
+    it('should resolve requestWithRetry with response and body', function() {
+      var request = function(options, callback) {
+        callback(null, {statusCode: 200}, 'body');
+      };
+      return utils.requestWithRetry(request, {}).then(function(result) {
+        assert.strictEqual(result.response.statusCode, 200);
+        assert.strictEqual(result.body, 'body');
+      });
+    });
+
+    it('should reject requestWithRetry on errors', function() {
+      var request = function(options, callback) {
+        callback({code: 404});
+      };
+      return utils.requestWithRetry(request, {}, {maxAttempts: 1})
+        .then(function() {
+          assert.fail('should have rejected');
+        }, function(err) {
+          assert.strictEqual(err.code, 404);
+        });
+    });
+  });
+
+  describe('metadata cache', function() {
+    afterEach(function() {
+      utils.setCacheTtl(Infinity);
+    });
+
+    it('should only query the metadata service once', function(done) {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/project/project-id')
+                    .once()
+                    .reply(200, 'a-stub-project-id');
+      utils.getProjectId(function(err, projectId) {
+        assert.ok(!err);
+        utils.getProjectId(function(err, projectId) {
+          assert.ok(!err);
+          assert.strictEqual(projectId, 'a-stub-project-id');
+          scope.done();
+          done();
+        });
+      });
+    });
+
+    it('should share a single in-flight request', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/id')
+                    .once()
+                    .delay(20)
+                    .reply(200, 'an-instance-id');
+      return Promise.all([
+        utils.getInstanceId(),
+        utils.getInstanceId(),
+        utils.getInstanceId()
+      ]).then(function(ids) {
+        assert.deepEqual(ids,
+          ['an-instance-id', 'an-instance-id', 'an-instance-id']);
+        scope.done();
+      });
+    });
+
+    it('should not cache errors', function(done) {
+      var scope = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/project/numeric-project-id')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'})
+        .get('/computeMetadata/v1/project/numeric-project-id')
+        .reply(200, '567');
+      utils.getProjectNumber(function(err) {
+        assert.ok(err instanceof Error);
+        utils.getProjectNumber(function(err, project) {
+          assert.ok(!err);
+          assert.strictEqual(project, '567');
+          scope.done();
+          done();
+        });
+      });
+    });
+
+    it('should not cache unsuccessful responses', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(404, 'Not Found')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'a-hostname');
+      return utils.getHostname().then(function() {
+        assert.fail('should have failed');
+      }, function(err) {
+        assert.strictEqual(err.code, 404);
+        return utils.getHostname();
+      }).then(function(hostname) {
+        assert.strictEqual(hostname, 'a-hostname');
+        scope.done();
+      });
+    });
+
+    it('should query again after clearCache', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'old-hostname')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'new-hostname');
+      return utils.getHostname().then(function(hostname) {
+        assert.strictEqual(hostname, 'old-hostname');
+        utils.clearCache();
+        return utils.getHostname();
+      }).then(function(hostname) {
+        assert.strictEqual(hostname, 'new-hostname');
+        scope.done();
+      });
+    });
+
+    it('should query again once the ttl has expired', function() {
+      utils.setCacheTtl(10);
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'old-hostname')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'new-hostname');
+      return utils.getHostname().then(function(hostname) {
+        assert.strictEqual(hostname, 'old-hostname');
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 20);
+        });
+      }).then(function() {
+        return utils.getHostname();
+      }).then(function(hostname) {
+        assert.strictEqual(hostname, 'new-hostname');
+        scope.done();
+      });
+    });
+
+    it('should cancel a lookup through the signal option', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .delay(200)
+                    .reply(200, 'slow-hostname')
+                    .get('/computeMetadata/v1/instance/hostname')
+                    .reply(200, 'a-hostname');
+      var controller = utils.createAbortController();
+      var cancelled = utils.getHostname({}, {signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 10);
+      return cancelled.then(function() {
+        assert.fail('should have been cancelled');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        return utils.getHostname();
+      }).then(function(hostname) {
+        assert.strictEqual(hostname, 'a-hostname');
+        scope.done();
+      });
+    });
+
+    it('should honor the totalTimeout option', function() {
+      nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/project/project-id')
+        .delay(500)
+        .reply(200, 'slow-project');
+      var start = Date.now();
+      return utils.getProjectId({}, {totalTimeout: 20}).then(function() {
+        assert.fail('should have timed out');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        assert.ok(Date.now() - start < 500);
+        nock.cleanAll();
+      });
+    });
+
+    it('should keep a shared lookup for callers still waiting', function() {
+      var scope = nock('http://metadata.google.internal')
+                    .get('/computeMetadata/v1/instance/id')
+                    .once()
+                    .delay(50)
+                    .reply(200, 'an-instance-id');
+      var controller = utils.createAbortController();
+      var cancelled = utils.getInstanceId({}, {signal: controller.signal});
+      var waiting = utils.getInstanceId();
+      controller.abort();
+      return Promise.all([
+        cancelled.then(function() {
+          assert.fail('should have been cancelled');
+        }, function(err) {
+          assert.strictEqual(err.code, 'ECANCELED');
+        }),
+        waiting
+      ]).then(function(results) {
+        assert.strictEqual(results[1], 'an-instance-id');
+        scope.done();
+      });
+    });
+  });
+
+  describe('detectEnvironment', function() {
+    var ENV_VARS = ['GAE_SERVICE', 'GAE_VERSION', 'GAE_MODULE_NAME',
+      'GAE_MODULE_VERSION', 'FUNCTION_NAME', 'FUNCTION_TARGET', 'K_SERVICE',
+      'K_REVISION', 'X_GOOGLE_FUNCTION_VERSION', 'KUBERNETES_SERVICE_HOST'];
+    var METADATA = 'http://metadata.google.internal/computeMetadata/v1';
+    var ZONE = 'projects/123/zones/us-central1-b';
+    var oldEnv;
+
+    beforeEach(function() {
+      oldEnv = {};
+      ENV_VARS.forEach(function(name) {
+        oldEnv[name] = process.env[name];
+        delete process.env[name];
+      });
+    });
+    afterEach(function() {
+      ENV_VARS.forEach(function(name) {
+        if (oldEnv[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = oldEnv[name];
+        }
+      });
+    });
+
+    it('should detect a local environment', function() {
+      var scope = nock(METADATA)
+        .get('/instance/zone')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.deepEqual(descriptor, {
+          platform: 'local',
+          service: null,
+          version: null,
+          zone: null,
+          region: null,
+          cluster: null
+        });
+        scope.done();
+      });
+    });
+
+    it('should detect GCE', function(done) {
+      var scope = nock(METADATA).get('/instance/zone').reply(200, ZONE);
+      utils.detectEnvironment(function(err, descriptor) {
+        assert.ok(!err);
+        assert.strictEqual(descriptor.platform, 'gce');
+        assert.strictEqual(descriptor.zone, 'us-central1-b');
+        assert.strictEqual(descriptor.region, 'us-central1');
+        scope.done();
+        done();
+      });
+    });
+
+    it('should detect GKE and its cluster name', function() {
+      process.env.KUBERNETES_SERVICE_HOST = '10.0.0.1';
+      var scope = nock(METADATA)
+        .get('/instance/zone').reply(200, ZONE)
+        .get('/instance/attributes/cluster-name').reply(200, 'a-cluster');
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.strictEqual(descriptor.platform, 'gke');
+        assert.strictEqual(descriptor.cluster, 'a-cluster');
+        assert.strictEqual(descriptor.zone, 'us-central1-b');
+        scope.done();
+      });
+    });
+
+    it('should detect App Engine', function() {
+      process.env.GAE_SERVICE = 'default';
+      process.env.GAE_VERSION = '20170905t1';
+      var scope = nock(METADATA).get('/instance/zone').reply(200, ZONE);
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.strictEqual(descriptor.platform, 'app_engine');
+        assert.strictEqual(descriptor.service, 'default');
+        assert.strictEqual(descriptor.version, '20170905t1');
+        assert.strictEqual(descriptor.zone, 'us-central1-b');
+        scope.done();
+      });
+    });
+
+    it('should detect Cloud Run and its region', function() {
+      process.env.K_SERVICE = 'a-service';
+      process.env.K_REVISION = 'a-service-00001';
+      var scope = nock(METADATA)
+        .get('/instance/zone').reply(404, 'Not Found')
+        .get('/instance/region').reply(200, 'projects/123/regions/europe-west1');
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.deepEqual(descriptor, {
+          platform: 'cloud_run',
+          service: 'a-service',
+          version: 'a-service-00001',
+          zone: null,
+          region: 'europe-west1',
+          cluster: null
+        });
+        scope.done();
+      });
+    });
+
+    it('should not derive the region of serverless zones', function() {
+      process.env.K_SERVICE = 'a-service';
+      var scope = nock(METADATA)
+        .get('/instance/zone').reply(200, 'projects/123/zones/us-central1-1')
+        .get('/instance/region').reply(200, 'projects/123/regions/us-central1');
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.strictEqual(descriptor.platform, 'cloud_run');
+        assert.strictEqual(descriptor.zone, 'us-central1-1');
+        assert.strictEqual(descriptor.region, 'us-central1');
+        scope.done();
+      });
+    });
+
+    it('should prefer Cloud Functions over Cloud Run', function() {
+      process.env.K_SERVICE = 'a-function';
+      process.env.FUNCTION_TARGET = 'handler';
+      var scope = nock(METADATA)
+        .get('/instance/zone')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'})
+        .get('/instance/region')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      return utils.detectEnvironment().then(function(descriptor) {
+        assert.strictEqual(descriptor.platform, 'cloud_functions');
+        assert.strictEqual(descriptor.service, 'a-function');
+        assert.strictEqual(descriptor.region, null);
+        scope.done();
+      });
+    });
+  });
+
+  describe('getMetadata', function() {
+    var METADATA = 'http://metadata.google.internal/computeMetadata/v1';
+
+    it('should fetch an arbitrary attribute', function(done) {
+      var scope = nock(METADATA, {reqheaders: {'Metadata-Flavor': 'Google'}})
+        .get('/instance/attributes/agent-config')
+        .reply(200, 'enabled');
+      utils.getMetadata('instance/attributes/agent-config',
+        function(err, value) {
+          assert.ok(!err);
+          assert.strictEqual(value, 'enabled');
+          scope.done();
+          done();
+        });
+    });
+
+    it('should fetch and parse recursive trees', function() {
+      var tree = {'agent-config': 'enabled', 'log-level': 'debug'};
+      var scope = nock(METADATA)
+        .get('/project/attributes/')
+        .query({recursive: 'true'})
+        .reply(200, JSON.stringify(tree));
+      return utils.getMetadata('/project/attributes/', {recursive: true})
+        .then(function(value) {
+          assert.deepEqual(value, tree);
+          scope.done();
+        });
+    });
+
+    it('should report non-200 responses as errors', function() {
+      var scope = nock(METADATA)
+        .get('/instance/attributes/missing')
+        .reply(404, 'Not Found');
+      return utils.getMetadata('instance/attributes/missing')
+        .then(function() {
+          assert.fail('should have rejected');
+        }, function(err) {
+          assert.strictEqual(err.code, 404);
+          scope.done();
+        });
+    });
+
+    it('should honor the signal option', function() {
+      nock(METADATA)
+        .get('/instance/attributes/slow')
+        .delay(200)
+        .reply(200, 'slow');
+      var controller = utils.createAbortController();
+      var cancelled = utils.getMetadata('instance/attributes/slow', {
+        signal: controller.signal
+      });
+      controller.abort();
+      return cancelled.then(function() {
+        assert.fail('should have been cancelled');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ECANCELED');
+        nock.cleanAll();
+      });
+    });
+
+    it('should honor the timeout option', function() {
+      nock(METADATA)
+        .get('/instance/attributes/slow')
+        .delay(200)
+        .reply(200, 'slow');
+      return utils.getMetadata('instance/attributes/slow', {
+        timeout: 10,
+        retry: {maxAttempts: 1}
+      }).then(function() {
+        assert.fail('should have timed out');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        nock.cleanAll();
+      });
+    });
+
+    it('should report unparseable recursive responses', function() {
+      var scope = nock(METADATA)
+        .get('/instance/attributes/')
+        .query({recursive: 'true'})
+        .reply(200, 'not json');
+      return utils.getMetadata('instance/attributes/', {recursive: true})
+        .then(function() {
+          assert.fail('should have rejected');
+        }, function(err) {
+          assert.ok(/Could not parse metadata/.test(err.message));
+          scope.done();
+        });
+    });
+
+    it('should call back once when the callback throws', function(done) {
+      var scope = nock(METADATA)
+        .get('/instance/attributes/')
+        .query({recursive: 'true'})
+        .reply(200, '{"a":"b"}');
+      var calls = 0;
+      onNextUncaught(function(err) {
+        assert.strictEqual(err.message, 'callback failure');
+        setImmediate(function() {
+          assert.strictEqual(calls, 1);
+          scope.done();
+          done();
+        });
+      });
+      utils.getMetadata('instance/attributes/', {recursive: true}, function() {
+        calls++;
+        throw new Error('callback failure');
+      });
+    });
+  });
+
+  describe('watchMetadata', function() {
+    var METADATA = 'http://metadata.google.internal/computeMetadata/v1';
+    var PATH = '/instance/attributes/agent-config';
+
+    it('should emit the initial value and subsequent changes', function(done) {
+      var scope = nock(METADATA)
+        .get(PATH)
+        .reply(200, 'v1', {'ETag': 'etag1'})
+        .get(PATH)
+        .query({wait_for_change: 'true', last_etag: 'etag1'})
+        .reply(200, 'v1', {'ETag': 'etag1'})
+        .get(PATH)
+        .query({wait_for_change: 'true', last_etag: 'etag1'})
+        .reply(200, 'v2', {'ETag': 'etag2'});
+      var seen = [];
+      var watcher = utils.watchMetadata(PATH);
+      watcher.on('change', function(value, etag) {
+        seen.push([value, etag]);
+        if (seen.length === 2) {
+          watcher.stop();
+          assert.deepEqual(seen, [['v1', 'etag1'], ['v2', 'etag2']]);
+          scope.done();
+          done();
+        }
+      });
+    });
+
+    it('should poll servers without ETags at the poll interval',
+        function(done) {
+      var scope = nock(METADATA)
+        .get(PATH).reply(200, 'v1')
+        .get(PATH).reply(200, 'v1')
+        .get(PATH).reply(200, 'v2');
+      var seen = [];
+      var start = Date.now();
+      var watcher = utils.watchMetadata(PATH, {pollInterval: 30});
+      watcher.on('change', function(value, etag) {
+        seen.push([value, etag]);
+        if (seen.length === 2) {
+          watcher.stop();
+          assert.deepEqual(seen, [['v1', undefined], ['v2', undefined]]);
+          assert.ok(Date.now() - start >= 50);
+          scope.done();
+          done();
+        }
+      });
+    });
+
+    it('should parse recursive values', function(done) {
+      var scope = nock(METADATA)
+        .get('/instance/attributes/')
+        .query({recursive: 'true'})
+        .reply(200, '{"a":"b"}', {'ETag': 'etag1'});
+      var watcher = utils.watchMetadata('instance/attributes/',
+        {recursive: true});
+      watcher.on('change', function(value) {
+        watcher.stop();
+        assert.deepEqual(value, {a: 'b'});
+        scope.done();
+        done();
+      });
+    });
+
+    it('should emit errors and keep polling', function(done) {
+      var scope = nock(METADATA)
+        .get(PATH)
+        .reply(503, 'unavailable')
+        .get(PATH)
+        .reply(200, 'v1', {'ETag': 'etag1'});
+      var errors = 0;
+      var watcher = utils.watchMetadata(PATH, {retry: {baseDelay: 1}});
+      watcher.on('error', function(err) {
+        assert.strictEqual(err.code, 503);
+        errors++;
+      });
+      watcher.on('change', function(value) {
+        watcher.stop();
+        assert.strictEqual(errors, 1);
+        assert.strictEqual(value, 'v1');
+        scope.done();
+        done();
+      });
+    });
+
+    it('should not poll once stopped', function(done) {
+      var scope = nock(METADATA).get(PATH).reply(200, 'v1');
+      var watcher = utils.watchMetadata(PATH);
+      watcher.on('change', function() {
+        assert.fail('should not have emitted');
+      });
+      watcher.stop();
+      setTimeout(function() {
+        assert.ok(!scope.isDone());
+        nock.cleanAll();
+        done();
+      }, 20);
+    });
+  });
+
+  describe('isAvailable', function() {
+    var FLAVOR = {'Metadata-Flavor': 'Google'};
+
+    it('should be available when the hostname answers', function() {
+      var host = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/')
+        .reply(200, 'instance/\nproject/', FLAVOR);
+      var ip = nock('http://169.254.169.254')
+        .get('/computeMetadata/v1/')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      return utils.isAvailable().then(function(available) {
+        assert.strictEqual(available, true);
+        host.done();
+        ip.done();
+      });
+    });
+
+    it('should be available when only the IP answers', function(done) {
+      var host = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      var ip = nock('http://169.254.169.254')
+        .get('/computeMetadata/v1/')
+        .reply(200, 'instance/\nproject/', FLAVOR);
+      utils.isAvailable(function(err, available) {
+        assert.ok(!err);
+        assert.strictEqual(available, true);
+        host.done();
+        ip.done();
+        done();
+      });
+    });
+
+    it('should require the Metadata-Flavor response header', function() {
+      var host = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/')
+        .reply(200, 'a captive portal');
+      var ip = nock('http://169.254.169.254')
+        .get('/computeMetadata/v1/')
+        .reply(200, 'a captive portal');
+      return utils.isAvailable().then(function(available) {
+        assert.strictEqual(available, false);
+        host.done();
+        ip.done();
+      });
+    });
+
+    it('should honor the timeout', function(done) {
+      // A server that accepts requests but never answers them.
+      var sockets = [];
+      var server = http.createServer(function() {});
+      server.on('connection', function(socket) {
+        sockets.push(socket);
+      });
+      nock.enableNetConnect('127.0.0.1');
+      server.listen(0, '127.0.0.1', function() {
+        var host = '127.0.0.1:' + server.address().port;
+        var start = Date.now();
+        utils.isAvailable({timeout: 50, host: host}, function(err, available) {
+          nock.disableNetConnect();
+          sockets.forEach(function(socket) {
+            socket.destroy();
+          });
+          server.close();
+          assert.ok(!err);
+          assert.strictEqual(available, false);
+          assert.strictEqual(sockets.length, 1);
+          assert.ok(Date.now() - start < 1000);
+          done();
+        });
+      });
+    });
+
+    it('should cache the result and short-circuit the getters', function() {
+      var host = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      var ip = nock('http://169.254.169.254')
+        .get('/computeMetadata/v1/')
+        .replyWithError({'message': 'Not Found', code: 'ENOTFOUND'});
+      return utils.isAvailable().then(function(available) {
+        assert.strictEqual(available, false);
+        // Would fail with a nock error if the service was queried again.
+        return utils.isAvailable();
+      }).then(function(available) {
+        assert.strictEqual(available, false);
+        return utils.getProjectId();
+      }).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.ok(/GCLOUD_PROJECT/.test(err.message));
+        return utils.getMetadata('instance/attributes/foo');
+      }).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ENOTFOUND');
+        host.done();
+        ip.done();
+      });
+    });
+  });
+
+  describe('metadata host override', function() {
+    var oldHost;
+    beforeEach(function() {
+      oldHost = process.env.GCE_METADATA_HOST;
+      delete process.env.GCE_METADATA_HOST;
+    });
+    afterEach(function() {
+      utils.setMetadataHost(null);
+      if (oldHost === undefined) {
+        delete process.env.GCE_METADATA_HOST;
+      } else {
+        process.env.GCE_METADATA_HOST = oldHost;
+      }
+    });
+
+    it('should honor GCE_METADATA_HOST', function() {
+      process.env.GCE_METADATA_HOST = 'localhost:8080';
+      var scope = nock('http://localhost:8080')
+        .get('/computeMetadata/v1/project/project-id')
+        .reply(200, 'an-emulated-project');
+      return utils.getProjectId().then(function(projectId) {
+        assert.strictEqual(projectId, 'an-emulated-project');
+        scope.done();
+      });
+    });
+
+    it('should prefer setMetadataHost over GCE_METADATA_HOST', function() {
+      process.env.GCE_METADATA_HOST = 'localhost:8080';
+      utils.setMetadataHost('127.0.0.1:9090');
+      var scope = nock('http://127.0.0.1:9090')
+        .get('/computeMetadata/v1/instance/id')
+        .reply(200, 'an-emulated-id');
+      return utils.getInstanceId().then(function(id) {
+        assert.strictEqual(id, 'an-emulated-id');
+        scope.done();
+      });
+    });
+
+    it('should accept a per-call host', function() {
+      utils.setMetadataHost('127.0.0.1:9090');
+      var scope = nock('http://localhost:7070')
+        .get('/computeMetadata/v1/instance/attributes/foo')
+        .reply(200, 'bar');
+      return utils.getMetadata('instance/attributes/foo',
+        {host: 'localhost:7070'}).then(function(value) {
+          assert.strictEqual(value, 'bar');
+          scope.done();
+        });
+    });
+
+    it('should not share cached values between hosts', function() {
+      var emulator = nock('http://localhost:8080')
+        .get('/computeMetadata/v1/instance/hostname')
+        .reply(200, 'emulated-hostname');
+      var real = nock('http://metadata.google.internal')
+        .get('/computeMetadata/v1/instance/hostname')
+        .reply(200, 'real-hostname');
+      utils.setMetadataHost('localhost:8080');
+      return utils.getHostname().then(function(hostname) {
+        assert.strictEqual(hostname, 'emulated-hostname');
+        utils.setMetadataHost(null);
+        return utils.getHostname();
+      }).then(function(hostname) {
+        assert.strictEqual(hostname, 'real-hostname');
+        emulator.done();
+        real.done();
+      });
+    });
+
+    it('should only probe the overridden host', function() {
+      process.env.GCE_METADATA_HOST = 'localhost:8080';
+      var scope = nock('http://localhost:8080')
+        .get('/computeMetadata/v1/')
+        .reply(200, '', {'Metadata-Flavor': 'Google'});
+      return utils.isAvailable().then(function(available) {
+        assert.strictEqual(available, true);
+        scope.done();
+      });
+    });
+  });
+
   describe('getInstanceId - valid cases', function() {
     var STUB_ID = 'a-stub-instance-id';
     it(